@@ -0,0 +1,251 @@
+// scripts/cotd-backfill.js — Cup of the Day standings (top 64 + division winners) per month
+// Node 18+ (global fetch).
+//
+// Usage:
+//   node scripts/cotd-backfill.js             previous + current month
+//   node scripts/cotd-backfill.js 2024 3      one explicit month
+//
+// COTDs are discovered through trackmania.io's COTD list; standings come from Nadeo's Meet API
+// (competition leaderboard), which needs NADEO_REFRESH_TOKEN for the NadeoLiveServices audience.
+// Division winners are read off the overall leaderboard: division n is ranks (n-1)*64+1 .. n*64, so
+// the script reads the top 64 plus one row at offset (n-1)*64 per division, never the whole field.
+// Output: data/cotd/YYYY-MM.json + data/cotd/months.json; each day links to data/totd/YYYY-MM.json.
+// Cups whose standings could not be fetched are listed and the script exits 1, so the workflow
+// never commits a month with holes; stored cups are kept, so a re-run only fetches the missing ones.
+
+import { mkdir, writeFile, readFile, access, readdir } from "node:fs/promises";
+import { constants as FS } from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+/* ----------------------------- config/constants ---------------------------- */
+const PUBLIC_DIR  = process.env.PUBLIC_DIR || ".";
+const ROOT        = PUBLIC_DIR.replace(/\/+$/,"");
+const COTD_DIR    = `${ROOT}/data/cotd`;
+const TOTD_DIR    = `${ROOT}/data/totd`;
+const TMIO        = "https://trackmania.io";
+const CORE_BASE   = process.env.NADEO_CORE_BASE || "https://prod.trackmania.core.nadeo.online";
+const MEET_BASE   = process.env.NADEO_MEET_BASE || "https://meet.trackmania.nadeo.club";
+const USER_AGENT  = process.env.USER_AGENT || "tm-cotd/1.0 (github action)";
+const DIVISION    = 64;   // players per COTD division
+const MAX_DIVS    = 500;  // safety stop for the division-winner walk
+const FIRST_COTD  = { y:2020, m1:11 }; // first month with a Cup of the Day
+
+const DEBUG = process.env.DEBUG === "1";
+const dlog  = (...a)=>{ if (DEBUG) console.log("[COTD]", ...a); };
+
+/* -------------------------------- fs helpers ------------------------------- */
+const ensureDir = (p)=>mkdir(p,{recursive:true});
+const exists = async(p)=>{ try{ await access(p,FS.F_OK); return true; } catch { return false; } };
+const loadJson = async(p,f)=>(await exists(p))?JSON.parse(await readFile(p,"utf8")):f;
+const writeJson=(p,obj)=>writeFile(p,JSON.stringify(obj,null,2),"utf8");
+
+/* --------------------------------- utils ----------------------------------- */
+const pad2=(n)=>String(n).padStart(2,"0");
+const monthKey=(y,m1)=>`${y}-${pad2(m1)}`;
+function cleanToken(s){
+  let t=String(s||"").trim();
+  if (t.toLowerCase().startsWith("nadeo_v1 t=")) t=t.slice("nadeo_v1 t=".length).trim();
+  return t.replace(/^["']|["']$/g,"");
+}
+
+async function sleep(ms){ return new Promise(r=>setTimeout(r,ms)); }
+async function fetchRetry(url,opts={},retries=5,baseDelay=500){
+  let lastErr;
+  for(let i=0;i<=retries;i++){
+    try{
+      const r=await fetch(url,{ ...opts, headers:{ "User-Agent":USER_AGENT, ...(opts.headers||{}) }});
+      if(r.status===429 || (r.status>=500 && r.status<=599)){
+        const wait=Math.min(baseDelay*Math.pow(2,i),8000);
+        if (DEBUG) dlog(`retry ${i} ${r.status} ${url} wait=${wait}ms`);
+        await sleep(wait);
+        continue;
+      }
+      return r;
+    }catch(e){
+      lastErr=e;
+      const wait=Math.min(baseDelay*Math.pow(2,i),8000);
+      if (DEBUG) dlog(`retry ${i} err ${e?.message||e} wait=${wait}ms`);
+      await sleep(wait);
+    }
+  }
+  throw lastErr || new Error(`fetch failed for ${url}`);
+}
+
+/* ---------------------------------- auth ----------------------------------- */
+let cachedAccess = { token:null, expAt:0 };
+async function accessToken(){
+  if (cachedAccess.token && Date.now() < cachedAccess.expAt-30_000) return cachedAccess.token;
+  const refresh=cleanToken(process.env.NADEO_REFRESH_TOKEN);
+  if (!refresh) throw new Error("Missing NADEO_REFRESH_TOKEN");
+  const r=await fetchRetry(`${CORE_BASE}/v2/authentication/token/refresh`,{
+    method:"POST",
+    headers:{ Authorization:`nadeo_v1 t=${refresh}`, "Content-Type":"application/json" },
+    body:"{}"
+  });
+  if (!r.ok) throw new Error(`token refresh failed: ${r.status}`);
+  const j=await r.json();
+  if (!j.accessToken) throw new Error("no accessToken in refresh response");
+  cachedAccess={ token:j.accessToken, expAt:Date.now()+(j.expiresIn||3600)*1000 };
+  return cachedAccess.token;
+}
+async function meetGet(p){
+  const r=await fetchRetry(`${MEET_BASE}${p}`,{ headers:{ Authorization:`nadeo_v1 t=${await accessToken()}` }});
+  if (!r.ok) throw new Error(`meet ${p} failed: ${r.status}`);
+  return r.json();
+}
+
+/* ------------------------------ COTD discovery ------------------------------
+   tm.io lists COTDs newest first; names look like "Cup of the Day 2024-03-01 #2"
+   (older ones have no "#n"). We page until we're past the requested month.
+-----------------------------------------------------------------------------*/
+export function parseCotd(c){
+  const name=c?.name??"";
+  const m=/(?:Cup of the Day|COTD)\s+(\d{4}-\d{2}-\d{2})(?:\s*#(\d+))?/i.exec(name);
+  const start=Number(c?.starttime??c?.startDate??0);
+  const date=m?.[1] ?? (start ? new Date(start*1000).toISOString().slice(0,10) : null);
+  return {
+    competitionId: c?.id??c?.competitionId??null,
+    name, date,
+    edition: m?.[2] ? Number(m[2]) : 1,
+    startDate: start ? new Date(start*1000).toISOString() : null,
+    endsAt: Number(c?.endtime??c?.endDate??0)*1000 || null,
+    players: Number(c?.players??c?.nbPlayers??0) || null
+  };
+}
+
+async function listMonthCotds(y,m1){
+  const mKey=monthKey(y,m1);
+  const out=[];
+  for (let page=0;;page++){
+    const r=await fetchRetry(`${TMIO}/api/cotd/${page}`);
+    if (!r.ok) throw new Error(`tm.io cotd[${page}] failed: ${r.status}`);
+    const j=await r.json();
+    const list=(j?.competitions??j?.cotds??[]).map(parseCotd).filter(c=>c.competitionId && c.date);
+    if (!list.length) break;
+    for (const c of list) if (c.date.startsWith(mKey)) out.push(c);
+    if (list[list.length-1].date < `${mKey}-01`) break; // past the month (newest-first list)
+    await sleep(120);
+  }
+  return out;
+}
+
+/* -------------------------------- standings -------------------------------- */
+async function leaderboardRows(cotd,offset,length){
+  const j=await meetGet(`/api/competitions/${encodeURIComponent(cotd.competitionId)}/leaderboard?length=${length}&offset=${offset}`);
+  const page=Array.isArray(j)?j:(j?.results??[]);
+  return page
+    .map(e=>({ rank:Number(e?.rank), accountId:e?.participant??e?.accountId??null, score:e?.score??null }))
+    .filter(r=>r.accountId && r.rank>0);
+}
+
+export async function fetchStandings(cotd){
+  const top64=await leaderboardRows(cotd,0,DIVISION);
+  const winners=top64.length ? [top64.reduce((a,b)=>(b.rank<a.rank?b:a))] : [];
+  // division n+1 is won by whoever sits at offset n*64; stop once the field runs out
+  for (let n=1; top64.length===DIVISION && n<MAX_DIVS; n++){
+    await sleep(150);
+    const [winner]=await leaderboardRows(cotd,n*DIVISION,1);
+    if (!winner) break;
+    winners.push(winner);
+  }
+  return summarizeStandings(top64,winners,cotd.players);
+}
+
+// top: the first 64 rows of the overall leaderboard; winners: one row per division, in division order
+export function summarizeStandings(top,winners,players=null){
+  return {
+    players: players ?? null,
+    divisions: winners.length,
+    top64: [...top].sort((a,b)=>a.rank-b.rank).slice(0,DIVISION),
+    divisionWinners: winners.map((r,i)=>({ division:i+1, ...r }))
+  };
+}
+
+/* -------------------------------- TOTD links ------------------------------- */
+async function totdLinks(mKey){
+  const file=`data/totd/${mKey}.json`;
+  const month=await loadJson(path.join(TOTD_DIR,`${mKey}.json`),{ days:{} });
+  const links={};
+  for (const [date,rec] of Object.entries(month.days||{})){
+    links[date]={ file, date, mapUid:rec?.map?.uid??null, name:rec?.map?.name??null };
+  }
+  return links;
+}
+
+/* ------------------------------ month writing ------------------------------ */
+async function rebuildMonthIndex(dir){
+  await ensureDir(dir);
+  const items=await readdir(dir,{withFileTypes:true});
+  const months=items
+    .filter(e=>e.isFile()&&e.name.endsWith(".json")&&e.name!=="months.json"&&!e.name.startsWith("_"))
+    .map(e=>e.name.replace(/\.json$/,""))
+    .sort().reverse();
+  await writeJson(path.join(dir,"months.json"),{ months });
+}
+
+async function writeCotdMonth(y,m1){
+  const mKey=monthKey(y,m1);
+  const monthPath=path.join(COTD_DIR,`${mKey}.json`);
+  const prev=await loadJson(monthPath,{ month:mKey, days:{} });
+  const prevCups=new Map();
+  for (const day of Object.values(prev.days||{})) for (const c of day.cups||[]) prevCups.set(String(c.competitionId),c);
+
+  const links=await totdLinks(mKey);
+  const cotds=await listMonthCotds(y,m1);
+  const days={}, failed=[];
+  for (const cotd of cotds.sort((a,b)=>a.date.localeCompare(b.date)||a.edition-b.edition)){
+    const day=days[cotd.date] ??= { date:cotd.date, totd:links[cotd.date]??null, cups:[] };
+    const { endsAt, ...meta }=cotd;
+    // finished cups never change, so keep what we already stored
+    const kept=prevCups.get(String(cotd.competitionId));
+    if (kept?.top64?.length){ day.cups.push(kept); continue; }
+    if (endsAt && endsAt>Date.now()){ dlog("not finished yet", cotd.name); continue; }
+    try{
+      day.cups.push({ ...meta, ...(await fetchStandings(cotd)) });
+      dlog("standings", cotd.name);
+    }catch(e){
+      console.warn(`[WARN] ${cotd.name}: ${e?.message||e}`);
+      failed.push(cotd.name);
+    }
+  }
+  for (const [date,day] of Object.entries(days)) if (!day.cups.length) delete days[date];
+
+  await ensureDir(COTD_DIR);
+  await writeJson(monthPath,{ month:mKey, days });
+  await rebuildMonthIndex(COTD_DIR);
+  return { month:mKey, days:Object.keys(days).length, cups:Object.values(days).reduce((n,d)=>n+d.cups.length,0), failed };
+}
+
+/* ----------------------------------- main ---------------------------------- */
+function targetMonths(argv){
+  if (argv.length){
+    const y=Number(argv[0]), m1=Number(argv[1]);
+    if (!Number.isInteger(y) || !Number.isInteger(m1) || m1<1 || m1>12) throw new Error("usage: cotd-backfill.js [year month]");
+    if (y*12+m1 < FIRST_COTD.y*12+FIRST_COTD.m1) throw new Error(`no COTD before ${monthKey(FIRST_COTD.y,FIRST_COTD.m1)}`);
+    return [{ y, m1 }];
+  }
+  const now=new Date();
+  const prev=new Date(Date.UTC(now.getUTCFullYear(),now.getUTCMonth()-1,1));
+  return [
+    { y:prev.getUTCFullYear(), m1:prev.getUTCMonth()+1 },
+    { y:now.getUTCFullYear(), m1:now.getUTCMonth()+1 }
+  ];
+}
+
+async function main(){
+  const failed=[];
+  for (const { y,m1 } of targetMonths(process.argv.slice(2))){
+    const res=await writeCotdMonth(y,m1);
+    console.log(`[OK] ${res.month}: ${res.cups} cup(s) over ${res.days} day(s)`);
+    failed.push(...res.failed);
+  }
+  if (failed.length){
+    console.error(`[FAIL] no standings for ${failed.length} cup(s), re-run to fetch them:\n  - ${failed.join("\n  - ")}`);
+    process.exit(1);
+  }
+  console.log("[DONE] COTD standings updated.");
+}
+if (process.argv[1] && import.meta.url===pathToFileURL(process.argv[1]).href){
+  main().catch(err=>{ console.error(err); process.exit(1); });
+}
@@ -0,0 +1,200 @@
+// scripts/fake-nadeo.js — in-process stand-in for Nadeo Core/Live + api.trackmania.com
+//
+// Serves just the endpoints scripts/server.js calls, from a small deterministic
+// dataset. Point the server at it with:
+//   NADEO_CORE_BASE=http://127.0.0.1:4100 NADEO_LIVE_BASE=http://127.0.0.1:4100 \
+//   TM_OAUTH_BASE=http://127.0.0.1:4100 REFRESH_TOKEN=fake CLIENT_ID=fake CLIENT_SECRET=fake \
+//   node scripts/server.js
+//
+// Test hooks (not part of any real API):
+//   POST /__fake/wr        { mapUid, accountId, score, timestamp? }  -> new top-1 on that map
+//   POST /__fake/throttle  { count, retryAfter? }  -> next `count` API calls answer 429
+//   POST /__fake/name      { accountId, name }  -> rename an account
+//   GET  /__fake/requests  -> { count, byPath }
+//   POST /hook[/:name]     -> webhook receiver; records every attempt (not counted or throttled)
+//   POST /__fake/hook      { name?, fail, status? }  -> next `fail` deliveries to that hook answer `status`
+//   GET  /__fake/hook      -> { received: [{ name, status, body, at }] }
+
+import express from "express";
+import { pathToFileURL } from "url";
+
+const nowSec = () => Math.floor(Date.now() / 1000);
+
+export const FAKE_ACCOUNTS = {
+  "11111111-1111-1111-1111-111111111111": "FakeDriverOne",
+  "22222222-2222-2222-2222-222222222222": "FakeDriverTwo",
+  "33333333-3333-3333-3333-333333333333": "FakeAuthor",
+};
+const [A1, A2, AUTHOR] = Object.keys(FAKE_ACCOUNTS);
+
+export const FAKE_MAPS = {
+  official: ["FakeOfficialMap0000000001", "FakeOfficialMap0000000002"],
+  totd: ["FakeTotdMap00000000000001", "FakeTotdMap00000000000002"],
+  clubListed: ["FakeClubMap00000000000001"],
+  clubDetail: ["FakeClubMap00000000000002"],
+};
+
+function initialRecords() {
+  const t = nowSec() - 3600;
+  const all = [...FAKE_MAPS.official, ...FAKE_MAPS.totd, ...FAKE_MAPS.clubListed, ...FAKE_MAPS.clubDetail];
+  const records = new Map();
+  all.forEach((uid, i) => {
+    const first = i % 2 ? A2 : A1;
+    const second = i % 2 ? A1 : A2;
+    records.set(uid, [
+      { accountId: first, score: 40000 + i * 1000, timestamp: t - i * 60 },
+      { accountId: second, score: 40250 + i * 1000, timestamp: t - i * 60 - 30 },
+    ]);
+  });
+  return records;
+}
+
+export function createFakeNadeo() {
+  const state = { records: initialRecords(), names: { ...FAKE_ACCOUNTS }, requests: { count: 0, byPath: {} }, throttle: { count: 0, retryAfter: 1 }, hooks: { received: [], fail: {} } };
+  const app = express();
+
+  /* ------------------------- webhook receiver ------------------------ */
+  app.post("/hook/:name?", express.json(), (req, res) => {
+    const name = req.params.name || "default";
+    const failing = state.hooks.fail[name];
+    const status = failing?.count > 0 ? failing.status : 204;
+    if (failing?.count > 0) failing.count--;
+    state.hooks.received.push({ name, status, body: req.body, at: Date.now() });
+    res.status(status).end();
+  });
+
+  app.use((req, res, next) => {
+    if (req.path.startsWith("/__fake/")) return next();
+    state.requests.count++;
+    state.requests.byPath[req.path] = (state.requests.byPath[req.path] || 0) + 1;
+    if (state.throttle.count > 0) {
+      state.throttle.count--;
+      res.setHeader("Retry-After", String(state.throttle.retryAfter));
+      return res.status(429).json({ error: "Too Many Requests" });
+    }
+    next();
+  });
+
+  /* ------------------------------ auth ------------------------------ */
+  app.post("/v2/authentication/token/refresh", (req, res) => {
+    if (!String(req.headers.authorization || "").startsWith("nadeo_v1 t=")) return res.status(401).json({ error: "unauthorized" });
+    res.json({ accessToken: "fake-live-access", refreshToken: "fake-refresh-rotated", expiresIn: 3600 });
+  });
+  app.post("/api/access_token", (_req, res) => {
+    res.json({ token_type: "Bearer", access_token: "fake-oauth-access", expires_in: 3600 });
+  });
+
+  /* --------------------------- display names ------------------------ */
+  app.get("/api/display-names", (req, res) => {
+    const ids = [].concat(req.query["accountId[]"] || req.query.accountId || []);
+    const out = {};
+    for (const id of ids) if (state.names[id]) out[id] = state.names[id];
+    res.json(out);
+  });
+
+  /* ------------------------------ live ------------------------------- */
+  app.get("/api/campaign/official", (_req, res) => {
+    res.json({
+      campaignList: [{ id: 1, name: "Fake Season", playlist: FAKE_MAPS.official.map((mapUid, position) => ({ position, mapUid })) }],
+    });
+  });
+
+  // offset = months back from the current one (newest first, like Nadeo); only the current month has days.
+  app.get("/api/token/campaign/month", (req, res) => {
+    const length = Number(req.query.length) || 1;
+    const offset = Number(req.query.offset) || 0;
+    const now = new Date();
+    const monthList = [];
+    for (let i = 0; i < length; i++) {
+      const back = offset + i;
+      const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - back, 1));
+      const days = back === 0 ? FAKE_MAPS.totd.map((mapUid, n) => ({ campaignId: 1, mapUid, day: n + 1, monthDay: n + 1 })) : [];
+      monthList.push({ year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, lastDay: days.length, days });
+    }
+    res.json({ monthList, itemCount: monthList.length });
+  });
+
+  app.get("/api/token/club/campaign", (req, res) => {
+    const offset = Number(req.query.offset) || 0;
+    if (offset > 0) return res.json({ clubCampaignList: [] });
+    res.json({
+      clubCampaignList: [
+        { clubId: 9001, clubName: "$f00Fake Club", id: 501, name: "Fake Club Cup", updatedAt: nowSec(), playlist: FAKE_MAPS.clubListed.map((mapUid) => ({ mapUid })) },
+        { clubId: 9002, clubName: "Detail Club", id: 502, name: "Fake Detail Cup", updatedAt: nowSec() - 10, playlist: [] },
+      ],
+    });
+  });
+  app.get("/api/token/club/:clubId/campaign/:campaignId", (req, res) => {
+    if (req.params.campaignId !== "502") return res.status(404).json({ error: "not found" });
+    res.json({ clubId: 9002, campaignId: 502, campaign: { playlist: FAKE_MAPS.clubDetail.map((mapUid) => ({ mapUid })) } });
+  });
+
+  app.get("/api/token/leaderboard/group/:groupUid/map/:mapUid/top", (req, res) => {
+    const list = state.records.get(req.params.mapUid);
+    if (!list) return res.status(404).json({ error: "map not found" });
+    const length = Math.max(1, Number(req.query.length) || 5);
+    const top = list.slice(0, length).map((r, i) => ({ ...r, position: i + 1, zoneId: "world", zoneName: "World" }));
+    res.json({ groupUid: req.params.groupUid, mapUid: req.params.mapUid, tops: [{ zoneId: "world", zoneName: "World", top }] });
+  });
+
+  app.get("/api/token/map/get-multiple", (req, res) => {
+    const uids = String(req.query.mapUidList || "").split(",").filter(Boolean);
+    const mapList = uids
+      .filter((uid) => state.records.has(uid))
+      .map((uid, i) => ({
+        uid,
+        mapId: `fake-${uid}`,
+        name: `$o$f80Fake $fffMap ${uid.slice(-2)}`,
+        author: AUTHOR,
+        authorTime: 39000 + i,
+        goldTime: 42000 + i,
+        silverTime: 48000 + i,
+        bronzeTime: 60000 + i,
+        thumbnailUrl: `https://example.invalid/thumbs/${uid}.jpg`,
+      }));
+    res.json({ mapList });
+  });
+
+  /* ---------------------------- test hooks --------------------------- */
+  app.post("/__fake/wr", express.json(), (req, res) => {
+    const { mapUid, accountId, score, timestamp } = req.body || {};
+    const list = state.records.get(mapUid);
+    if (!list || !accountId || !Number(score)) return res.status(400).json({ error: "bad request" });
+    list.unshift({ accountId, score: Number(score), timestamp: Number(timestamp) || nowSec() });
+    res.json({ ok: true });
+  });
+  app.post("/__fake/throttle", express.json(), (req, res) => {
+    state.throttle = { count: Number(req.body?.count) || 1, retryAfter: Number(req.body?.retryAfter ?? 1) };
+    res.json({ ok: true });
+  });
+  app.post("/__fake/name", express.json(), (req, res) => {
+    const { accountId, name } = req.body || {};
+    if (!state.names[accountId] || !name) return res.status(400).json({ error: "bad request" });
+    state.names[accountId] = String(name);
+    res.json({ ok: true });
+  });
+  app.get("/__fake/requests", (_req, res) => res.json(state.requests));
+  app.post("/__fake/hook", express.json(), (req, res) => {
+    const name = req.body?.name || "default";
+    state.hooks.fail[name] = { count: Number(req.body?.fail) || 0, status: Number(req.body?.status) || 500 };
+    res.json({ ok: true });
+  });
+  app.get("/__fake/hook", (_req, res) => res.json({ received: state.hooks.received }));
+
+  return { app, state };
+}
+
+export function startFakeNadeo(port = 0) {
+  const { app, state } = createFakeNadeo();
+  return new Promise((resolve) => {
+    const server = app.listen(port, "127.0.0.1", () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({ url, state, server, close: () => new Promise((r) => server.close(r)) });
+    });
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { url } = await startFakeNadeo(Number(process.env.FAKE_NADEO_PORT || 4100));
+  console.log(`🧪 Fake Nadeo listening on ${url}`);
+}
@@ -1,10 +1,12 @@
 import express from "express";
-import fetch from "node-fetch";
+import fetch, { Response } from "node-fetch";
+import crypto from "crypto";
 import fs from "fs";
 import path from "path";
 import compression from "compression";
 import http from "http";
 import https from "https";
+import Database from "better-sqlite3";
 
 /**
  * Required ENV:
@@ -13,20 +15,54 @@ import https from "https";
  *   CLIENT_SECRET         = <api.trackmania.com client_secret>
  *
  * Optional ENV (recommended):
- *   ADMIN_SECRET            = <random string to secure /api/admin/set-refresh>
+ *   ADMIN_SECRET            = <random string; legacy key "admin" holding every scope>
+ *   API_KEYS                = JSON array of { name, key, scopes } (scopes: read-debug, rebuild, token-admin)
+ *                             keys go in a header only: Authorization: Bearer <key>, X-Api-Key or X-Admin-Secret
+ *   AUDIT_RETENTION_DAYS    = 90 (privileged calls are logged to the audit_log table in DB_PATH)
  *   REFRESH_TOKEN_FILE      = /data/nadeo_refresh_token.txt
- *   CACHE_PATH_WR           = /data/wr_cache.json
- *   CACHE_PATH_CLUB         = /data/club_uids.json
+ *   DB_PATH                 = /data/trackmania.db (SQLite: WR rows, club UIDs, names, map metadata)
+ *   CACHE_PATH_WR           = /data/wr_cache.json   (legacy; imported into DB_PATH once)
+ *   CACHE_PATH_CLUB         = /data/club_uids.json  (legacy; imported into DB_PATH once)
+ *   CACHE_PATH_MAPMETA      = /data/map_meta.json   (legacy; imported into DB_PATH once)
+ *   CACHE_PATH_HISTORY      = /data/wr_history.ndjson (append-only WR change log)
+ *   MAP_META_TTL_HOURS      = 168
+ *   NAME_TTL_HOURS          = 72 (display names are re-checked after this; renames land in name history)
+ *   NAME_RETRY_MINUTES      = 15 (failed lookups show the accountId until this passes)
  *   CORS_ORIGINS            = comma-separated list of extra allowed origins
  *   INCLUDE_CLUB_BY_DEFAULT = true|false (default true)
  *   AUTO_UID_REFRESH        = true|false (default true)
  *   WR_CONCURRENCY          = 8
  *   QUICK_REFRESH_COUNT     = 100
+ *   ROLLING_REFRESH         = true|false (default true; background re-check of every tracked map)
+ *   ROLLING_BUDGET_PER_HOUR = 1800 (leaderboard calls per hour the scheduler may spend)
+ *   ROLLING_WINDOW_HOURS    = 72   (every map is revisited at least this often)
+ *   ROLLING_TICK_SECONDS    = 30
  *   CLUB_MAX_CAMPAIGNS      = 200
  *   CLUB_DETAIL_CONC        = 4
  *   CLUB_UID_TTL_HOURS      = 24
  *   MAX_WR_MS               = (defaults to 24h in ms)
  *   RESPONSE_TTL_SECONDS    = 3  (small LRU TTL for route responses)
+ *   LEADERBOARD_TTL_SECONDS = 60 (per-map top-N cache)
+ *   PODIUM_TZ               = America/Detroit (IANA zone for /api/wr-podium and /api/top-monthly boundaries)
+ *   UPSTREAM_MODE           = live|record|replay (default live)
+ *   UPSTREAM_FIXTURES_DIR   = ./fixtures/upstream (record writes here, replay reads here)
+ *   NADEO_CORE_BASE         = https://prod.trackmania.core.nadeo.online
+ *   NADEO_LIVE_BASE         = https://live-services.trackmania.nadeo.live
+ *   TM_OAUTH_BASE           = https://api.trackmania.com
+ *   UPSTREAM_RPS_LIVE       = 8  (token-bucket budget per host, requests/second)
+ *   UPSTREAM_RPS_CORE       = 2
+ *   UPSTREAM_RPS_OAUTH      = 4
+ *   UPSTREAM_RPS_DEFAULT    = 8  (any other host)
+ *   UPSTREAM_MAX_RETRIES    = 3  (retries after a 429)
+ *   WEBHOOKS                = JSON array of { url, format, sourceTypes, accountIds, mapUids }
+ *   WEBHOOKS_FILE           = /data/webhooks.json (hooks added via /api/admin/webhooks)
+ *   WEBHOOK_DLQ_PATH        = /data/webhook_dlq.ndjson
+ *   WEBHOOK_MAX_ATTEMPTS    = 5
+ *   WEBHOOK_BACKOFF_MS      = 1000 (first retry delay; doubles per attempt, capped at 60s)
+ *
+ * Metrics:
+ *   GET /metrics            = Prometheus text; takes a read-debug key (scrape with
+ *                             authorization: { credentials: <key> }); not written to audit_log
  */
 
 const app = express();
@@ -57,8 +93,9 @@ app.use((req, res, next) => {
   const o = req.headers.origin;
   if (o && ALLOW.has(o)) res.setHeader("Access-Control-Allow-Origin", o);
   res.setHeader("Vary", "Origin");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS, POST");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Admin-Secret");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS, POST, DELETE");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Api-Key, X-Admin-Secret, If-None-Match");
+  res.setHeader("Access-Control-Expose-Headers", "ETag");
   if (req.method === "OPTIONS") return res.sendStatus(200);
   next();
 });
@@ -75,6 +112,290 @@ function fetchWithTimeout(url, opts = {}, ms = 15000) {
   return baseFetch(url, { ...opts, signal: ac.signal }).finally(() => clearTimeout(t));
 }
 
+/* ------------------------- Metrics ------------------------- */
+// Minimal Prometheus registry: counters and histograms are updated inline,
+// gauges are read by collectors at scrape time. Rendered by GET /metrics.
+const metricDefs = new Map(); // name -> { type, help, buckets, series: Map(labelKey -> { labels, value | counts,sum,count }) }
+const metricCollectors = []; // () => [{ name, type, help, samples: [{ labels, value }] }]
+
+function defineMetric(name, type, help, buckets = null) {
+  metricDefs.set(name, { type, help, buckets, series: new Map() });
+}
+
+function metricSeries(name, labels) {
+  const def = metricDefs.get(name);
+  const key = JSON.stringify(labels);
+  let s = def.series.get(key);
+  if (!s) {
+    s = def.type === "histogram"
+      ? { labels, counts: def.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 };
+    def.series.set(key, s);
+  }
+  return s;
+}
+
+function incCounter(name, labels = {}, by = 1) {
+  metricSeries(name, labels).value += by;
+}
+
+function observe(name, labels, value) {
+  const def = metricDefs.get(name);
+  const s = metricSeries(name, labels);
+  def.buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+  s.sum += value;
+  s.count++;
+}
+
+const escLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+function fmtLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function renderMetrics() {
+  const out = [];
+  const head = (name, type, help) => out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  for (const [name, def] of metricDefs) {
+    head(name, def.type, def.help);
+    for (const s of def.series.values()) {
+      if (def.type !== "histogram") {
+        out.push(`${name}${fmtLabels(s.labels)} ${s.value}`);
+        continue;
+      }
+      def.buckets.forEach((le, i) => out.push(`${name}_bucket${fmtLabels({ ...s.labels, le })} ${s.counts[i]}`));
+      out.push(`${name}_bucket${fmtLabels({ ...s.labels, le: "+Inf" })} ${s.count}`);
+      out.push(`${name}_sum${fmtLabels(s.labels)} ${s.sum}`);
+      out.push(`${name}_count${fmtLabels(s.labels)} ${s.count}`);
+    }
+  }
+  for (const collect of metricCollectors) {
+    for (const m of collect()) {
+      head(m.name, m.type, m.help);
+      for (const { labels = {}, value } of m.samples) out.push(`${m.name}${fmtLabels(labels)} ${value}`);
+    }
+  }
+  return out.join("\n") + "\n";
+}
+
+defineMetric("tm_upstream_requests_total", "counter", "Upstream calls by host, caller and HTTP status (\"error\" = no response)");
+defineMetric("tm_upstream_request_duration_seconds", "histogram", "Upstream call latency, including limiter waits and 429 retries",
+  [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15]);
+defineMetric("tm_resp_cache_requests_total", "counter", "Small response cache lookups by route and result (hit|miss)");
+defineMetric("tm_job_duration_seconds", "histogram", "Build/refresh job duration by job name and final status",
+  [1, 5, 15, 30, 60, 120, 300, 600, 1200]);
+defineMetric("tm_refresh_wr_changed", "histogram", "WRs that changed hands or time per finished build/refresh job",
+  [0, 1, 2, 5, 10, 25, 50, 100, 500]);
+defineMetric("tm_wr_changes_total", "counter", "WR changes written to the history log, by how they were detected");
+defineMetric("tm_wr_steals_total", "counter", "WR changes where the record moved to a different account");
+defineMetric("tm_rolling_checks_total", "counter", "Maps re-checked by the rolling refresh scheduler");
+defineMetric("tm_name_fallbacks_total", "counter", "Account ids cached as their own display name, by reason");
+
+/* ------------------ Upstream rate limiter ------------------ */
+// One token bucket per upstream host, shared by every caller. A 429 blocks the
+// whole host for Retry-After (or an exponential guess) and halves its rate;
+// each success then creeps the rate back toward the configured budget.
+const UPSTREAM_MAX_RETRIES = Number(process.env.UPSTREAM_MAX_RETRIES || 3);
+const buckets = new Map(); // host -> bucket
+
+function hostBudget(host) {
+  const rps = (key, dflt) => Number(process.env[key] || dflt);
+  const of = (base) => { try { return new URL(base).host; } catch { return null; } };
+  // Checked in order; with all bases on one host (fake server) the first wins
+  const table = [
+    [of(process.env.NADEO_LIVE_BASE || "https://live-services.trackmania.nadeo.live"), rps("UPSTREAM_RPS_LIVE", 8)],
+    [of(process.env.NADEO_CORE_BASE || "https://prod.trackmania.core.nadeo.online"), rps("UPSTREAM_RPS_CORE", 2)],
+    [of(process.env.TM_OAUTH_BASE || "https://api.trackmania.com"), rps("UPSTREAM_RPS_OAUTH", 4)],
+  ];
+  const hit = table.find(([h]) => h === host);
+  return hit ? hit[1] : rps("UPSTREAM_RPS_DEFAULT", 8);
+}
+
+function getBucket(host) {
+  let b = buckets.get(host);
+  if (!b) {
+    const baseRate = hostBudget(host);
+    b = {
+      host, baseRate, rate: baseRate, burst: Math.max(1, baseRate * 2), tokens: Math.max(1, baseRate * 2),
+      lastRefill: Date.now(), blockedUntil: 0, strikes: 0,
+      stats: { requests: 0, throttled: 0, retries: 0, waitedMs: 0, inFlight: 0 },
+    };
+    buckets.set(host, b);
+  }
+  return b;
+}
+
+function refill(b) {
+  const now = Date.now();
+  b.tokens = Math.min(b.burst, b.tokens + ((now - b.lastRefill) / 1000) * b.rate);
+  b.lastRefill = now;
+}
+
+async function acquireToken(b) {
+  const started = Date.now();
+  for (;;) {
+    refill(b);
+    const now = Date.now();
+    if (now < b.blockedUntil) {
+      await new Promise((r) => setTimeout(r, b.blockedUntil - now));
+      continue;
+    }
+    if (b.tokens >= 1) {
+      b.tokens -= 1;
+      b.stats.waitedMs += Date.now() - started;
+      return;
+    }
+    await new Promise((r) => setTimeout(r, Math.ceil(((1 - b.tokens) / b.rate) * 1000)));
+  }
+}
+
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : 0;
+}
+
+function noteThrottled(b, retryAfterMs) {
+  b.strikes++;
+  b.stats.throttled++;
+  b.rate = Math.max(b.baseRate / 16, b.rate / 2);
+  const guess = Math.min(1000 * 2 ** (b.strikes - 1), 60_000);
+  b.blockedUntil = Math.max(b.blockedUntil, Date.now() + (retryAfterMs || guess));
+  b.tokens = 0;
+}
+
+function noteSuccess(b) {
+  b.strikes = 0;
+  if (b.rate < b.baseRate) b.rate = Math.min(b.baseRate, b.rate + b.baseRate * 0.05);
+}
+
+async function limitedFetch(url, opts = {}, ms = 15000) {
+  const b = getBucket(new URL(url).host);
+  for (let attempt = 0; ; attempt++) {
+    await acquireToken(b);
+    b.stats.requests++;
+    b.stats.inFlight++;
+    let r;
+    try {
+      r = await fetchWithTimeout(url, opts, ms);
+    } finally {
+      b.stats.inFlight--;
+    }
+    if (r.status !== 429) {
+      noteSuccess(b);
+      return r;
+    }
+    noteThrottled(b, parseRetryAfter(r.headers.get("retry-after")));
+    if (attempt >= UPSTREAM_MAX_RETRIES) return r;
+    b.stats.retries++;
+    await r.text().catch(() => {}); // free the socket before retrying
+  }
+}
+
+function limiterStats() {
+  const now = Date.now();
+  return Array.from(buckets.values()).map((b) => {
+    refill(b);
+    return {
+      host: b.host,
+      rate: Math.round(b.rate * 100) / 100,
+      baseRate: b.baseRate,
+      tokens: Math.floor(b.tokens),
+      burst: b.burst,
+      blockedForMs: Math.max(0, b.blockedUntil - now),
+      ...b.stats,
+    };
+  });
+}
+
+metricCollectors.push(() => {
+  const stats = limiterStats();
+  const per = (name, type, help, field) => ({
+    name, type, help, samples: stats.map((b) => ({ labels: { host: b.host }, value: b[field] })),
+  });
+  return [
+    per("tm_upstream_rate_limit_rps", "gauge", "Current token-bucket rate per host (drops after 429s)", "rate"),
+    per("tm_upstream_throttled_total", "counter", "429 responses per host", "throttled"),
+    per("tm_upstream_retries_total", "counter", "Retries after a 429 per host", "retries"),
+    per("tm_upstream_in_flight", "gauge", "Upstream calls currently in flight per host", "inFlight"),
+  ];
+});
+
+/* ------------- Upstream client (live / record / replay) ------------- */
+// Every Nadeo / api.trackmania.com call goes through upstreamFetch so the
+// server can run against saved fixtures (replay) or capture new ones (record).
+// Fixtures are keyed by method + path + query; hosts are ignored so a set
+// recorded against scripts/fake-nadeo.js replays against the real bases too.
+const UPSTREAM_MODE = (process.env.UPSTREAM_MODE || "live").toLowerCase();
+const UPSTREAM_FIXTURES_DIR = process.env.UPSTREAM_FIXTURES_DIR || path.join(process.cwd(), "fixtures", "upstream");
+const REDACT_FIELDS = ["accessToken", "access_token", "refreshToken", "refresh_token"];
+
+function fixturePath(method, url) {
+  const u = new URL(url);
+  const key = `${method.toUpperCase()} ${u.pathname}${u.search}`;
+  const hash = crypto.createHash("sha1").update(key).digest("hex").slice(0, 12);
+  const slug = u.pathname.replace(/^\/+/, "").replace(/[^A-Za-z0-9]+/g, "_").slice(0, 80);
+  return path.join(UPSTREAM_FIXTURES_DIR, `${method.toUpperCase()}_${slug}_${hash}.json`);
+}
+
+function redactTokens(text) {
+  try {
+    const j = JSON.parse(text);
+    if (!j || typeof j !== "object") return text;
+    for (const f of REDACT_FIELDS) if (typeof j[f] === "string") j[f] = `fixture-${f}`;
+    return JSON.stringify(j);
+  } catch {
+    return text;
+  }
+}
+
+// opts.caller labels the call in metrics (jget, live-token, oauth-token, display-names)
+async function upstreamFetch(url, { caller = "other", ...opts } = {}, ms = 15000) {
+  const host = new URL(url).host;
+  const started = Date.now();
+  let status = "error";
+  try {
+    const r = await upstreamFetchRaw(url, opts, ms);
+    status = String(r.status);
+    return r;
+  } finally {
+    incCounter("tm_upstream_requests_total", { host, caller, status });
+    observe("tm_upstream_request_duration_seconds", { host, caller }, (Date.now() - started) / 1000);
+  }
+}
+
+async function upstreamFetchRaw(url, opts, ms) {
+  const method = opts.method || "GET";
+
+  if (UPSTREAM_MODE === "replay") {
+    const file = fixturePath(method, url);
+    let fx;
+    try {
+      fx = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch {
+      throw new Error(`replay: no fixture for ${method} ${url}`);
+    }
+    return new Response(fx.body, { status: fx.status, headers: { "content-type": fx.contentType || "application/json" } });
+  }
+
+  const r = await limitedFetch(url, opts, ms);
+  if (UPSTREAM_MODE !== "record") return r;
+
+  const body = await r.text();
+  const contentType = r.headers.get("content-type") || "application/json";
+  try {
+    fs.mkdirSync(UPSTREAM_FIXTURES_DIR, { recursive: true });
+    fs.writeFileSync(fixturePath(method, url), JSON.stringify({
+      method, url: new URL(url).pathname + new URL(url).search, status: r.status, contentType, body: redactTokens(body),
+    }, null, 2));
+  } catch (e) {
+    console.error("⚠️ Failed to record fixture:", e?.message || e);
+  }
+  return new Response(body, { status: r.status, headers: { "content-type": contentType } });
+}
+
 /* -------------------- Refresh token engine ---------------- */
 function cleanToken(s) {
   if (!s) return "";
@@ -107,7 +428,8 @@ function persistRefreshToken(rt) {
 }
 
 /* -------------------- Auth (refresh -> access) -------------- */
-const CORE_REFRESH_URL = "https://prod.trackmania.core.nadeo.online/v2/authentication/token/refresh";
+const CORE_BASE = process.env.NADEO_CORE_BASE || "https://prod.trackmania.core.nadeo.online";
+const CORE_REFRESH_URL = `${CORE_BASE}/v2/authentication/token/refresh`;
 let cachedAccess = { token: null, expAt: 0 };
 
 async function getLiveAccessToken() {
@@ -115,10 +437,12 @@ async function getLiveAccessToken() {
   if (cachedAccess.token && now < cachedAccess.expAt - 30_000)
     return cachedAccess.token;
 
-  const refresh = getRefreshToken();
+  // replay needs no credentials: fixtures are keyed without auth headers
+  const refresh = getRefreshToken() || (UPSTREAM_MODE === "replay" ? "replay" : "");
   if (!refresh) throw new Error("Missing REFRESH_TOKEN");
 
-  const r = await fetchWithTimeout(CORE_REFRESH_URL, {
+  const r = await upstreamFetch(CORE_REFRESH_URL, {
+    caller: "live-token",
     method: "POST",
     headers: {
       Authorization: `nadeo_v1 t=${refresh}`,
@@ -140,7 +464,7 @@ async function getLiveAccessToken() {
 
   if (!accessToken) throw new Error("no accessToken in refresh response");
 
-  if (typeof newRefresh === "string" && newRefresh.trim()) {
+  if (typeof newRefresh === "string" && newRefresh.trim() && UPSTREAM_MODE !== "replay") {
     persistRefreshToken(cleanToken(newRefresh)); // ✅ auto-rotate refresh
   }
 
@@ -149,6 +473,7 @@ async function getLiveAccessToken() {
 }
 
 /* ---------------- OAuth (api.trackmania.com) ---------------- */
+const OAUTH_BASE = process.env.TM_OAUTH_BASE || "https://api.trackmania.com";
 const OAUTH_CLIENT_ID = process.env.CLIENT_ID;
 const OAUTH_CLIENT_SECRET = process.env.CLIENT_SECRET;
 let cachedOAuth = { token: null, expAt: 0 };
@@ -157,10 +482,11 @@ async function getOAuthToken() {
   const now = Date.now();
   if (cachedOAuth.token && now < cachedOAuth.expAt - 30_000)
     return cachedOAuth.token;
-  if (!OAUTH_CLIENT_ID || !OAUTH_CLIENT_SECRET)
+  if ((!OAUTH_CLIENT_ID || !OAUTH_CLIENT_SECRET) && UPSTREAM_MODE !== "replay")
     throw new Error("Missing CLIENT_ID / CLIENT_SECRET");
 
-  const r = await fetchWithTimeout("https://api.trackmania.com/api/access_token", {
+  const r = await upstreamFetch(`${OAUTH_BASE}/api/access_token`, {
+    caller: "oauth-token",
     method: "POST",
     headers: {
       "Content-Type": "application/x-www-form-urlencoded",
@@ -168,8 +494,8 @@ async function getOAuthToken() {
     },
     body: new URLSearchParams({
       grant_type: "client_credentials",
-      client_id: OAUTH_CLIENT_ID,
-      client_secret: OAUTH_CLIENT_SECRET,
+      client_id: OAUTH_CLIENT_ID || "",
+      client_secret: OAUTH_CLIENT_SECRET || "",
     }).toString(),
   }, 15000);
   if (!r.ok) throw new Error(`oauth token failed ${r.status} ${await r.text()}`);
@@ -182,10 +508,11 @@ async function getOAuthToken() {
 }
 
 /* ------------------ Live Services helpers ------------------ */
-const LIVE_BASE = "https://live-services.trackmania.nadeo.live";
+const LIVE_BASE = process.env.NADEO_LIVE_BASE || "https://live-services.trackmania.nadeo.live";
 
 async function jget(url, accessToken) {
-  const r = await fetchWithTimeout(url, {
+  const r = await upstreamFetch(url, {
+    caller: "jget",
     headers: {
       Authorization: `nadeo_v1 t=${accessToken}`,
       "User-Agent": "trackmaniaevents.com/1.0 (Render)",
@@ -217,14 +544,17 @@ async function getTotdMonthsFromLive(accessToken) {
   const total = countMonthsFrom2020July();
   const months = [];
   const BATCH = 24;
-  for (let offset = total - 1; offset >= 0; offset -= BATCH) {
-    const len = Math.min(BATCH, offset + 1);
+  // offset = months back from the current one; each batch covers [offset, offset + len)
+  for (let last = total - 1; last >= 0; last -= BATCH) {
+    const len = Math.min(BATCH, last + 1);
+    const offset = last - len + 1;
     const url = `${LIVE_BASE}/api/token/campaign/month?length=${len}&offset=${offset}`;
     const j = await jget(url, accessToken);
     const list = j?.monthList || [];
     months.push(...list);
-    await new Promise((r) => setTimeout(r, 60));
   }
+  // oldest first, so callers can take the latest months with slice(-n)
+  months.sort((a, b) => (a?.year || 0) - (b?.year || 0) || (a?.month || 0) - (b?.month || 0));
   return months;
 }
 
@@ -254,14 +584,15 @@ async function listAllClubCampaignRefsWithPlaylists(accessToken) {
     for (const it of list) {
       const clubId = it?.clubId ?? it?.campaign?.clubId ?? it?.club?.id;
       const campaignId = it?.id ?? it?.campaignId ?? it?.campaign?.id;
-      const updatedAt = new Date(it?.updated || it?.updatedAt || 0).getTime() || 0;
+      const updatedAt = normalizeToSeconds(it?.updated || it?.updatedAt || it?.campaign?.updatedAt) * 1000;
       const playlist = (it?.campaign?.playlist || it?.playlist || [])
         .map((p) => p?.mapUid).filter(Boolean);
-      if (clubId && campaignId) out.push({ clubId, campaignId, updatedAt, playlist });
+      const clubName = stripTmFormatting(it?.clubName ?? it?.club?.name ?? null);
+      const campaignName = stripTmFormatting(it?.name ?? it?.campaign?.name ?? null);
+      if (clubId && campaignId) out.push({ clubId, campaignId, clubName, campaignName, updatedAt, playlist });
     }
 
     if (list.length < CLUB_LIST_BATCH) break;
-    await new Promise((r) => setTimeout(r, 60));
   }
   out.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
   return out.slice(0, CLUB_MAX_CAMPAIGNS);
@@ -278,23 +609,23 @@ async function fetchClubCampaignPlaylist(accessToken, clubId, campaignId) {
   }
 }
 
-async function getAllClubMapUids(accessToken) {
+// Campaign refs with every playlist filled in (detail call where the list had none)
+async function getClubCampaigns(accessToken) {
   const refs = await listAllClubCampaignRefsWithPlaylists(accessToken);
-  const uids = new Set();
-  const missing = [];
-  for (const r of refs) {
-    if (r.playlist?.length) r.playlist.forEach((uid) => uids.add(uid));
-    else missing.push(r);
-  }
+  const missing = refs.filter((r) => !r.playlist?.length);
   for (let i = 0; i < missing.length; i += CLUB_DETAIL_CONC) {
     const batch = missing.slice(i, i + CLUB_DETAIL_CONC);
     const results = await Promise.all(
       batch.map((r) => fetchClubCampaignPlaylist(accessToken, r.clubId, r.campaignId))
     );
-    for (const arr of results) arr.forEach((uid) => uids.add(uid));
-    await new Promise((r) => setTimeout(r, 80));
+    batch.forEach((r, k) => { r.playlist = results[k]; });
   }
-  return Array.from(uids);
+  return refs;
+}
+
+async function getAllClubMapUids(accessToken) {
+  const campaigns = await getClubCampaigns(accessToken);
+  return Array.from(new Set(campaigns.flatMap((c) => c.playlist)));
 }
 
 /* ---------------- Time, WR fetch, names -------------------- */
@@ -337,12 +668,60 @@ async function getMapWR(accessToken, mapUid) {
   }
 }
 
+async function getMapLeaderboard(accessToken, mapUid, length) {
+  const groupUid = "Personal_Best";
+  const url = `${LIVE_BASE}/api/token/leaderboard/group/${groupUid}/map/${encodeURIComponent(mapUid)}/top?onlyWorld=true&length=${length}&offset=0`;
+  const j = await jget(url, accessToken);
+  const top = j?.tops?.[0]?.top || [];
+  return top
+    .map((t, i) => ({
+      position: Number(t.position) || i + 1,
+      accountId: t.accountId,
+      timeMs: Number(t.score),
+      timestamp: normalizeToSeconds(t.timestamp),
+    }))
+    .filter((t) => t.accountId && isValidTimeMs(t.timeMs));
+}
+
 /* ---------------------- Display names ---------------------- */
-const nameCache = new Map(); // accountId -> displayName
+// nameCache holds what callers render; nameExpiry says when an entry must be
+// re-resolved. Real names live NAME_TTL_HOURS and are persisted along with a
+// rename history. Failures cache the raw accountId (or keep a stale real name)
+// for NAME_RETRY_MINUTES only, so one bad upstream call doesn't stick.
+const NAME_TTL_MS = Number(process.env.NAME_TTL_HOURS || 72) * 3600 * 1000;
+const NAME_RETRY_MS = Number(process.env.NAME_RETRY_MINUTES || 15) * 60 * 1000;
+const nameCache = new Map(); // accountId -> displayName (the accountId itself while unresolved)
+const nameExpiry = new Map(); // accountId -> epoch ms
+
+const nameIsFresh = (id) => nameCache.has(id) && Date.now() < (nameExpiry.get(id) || 0);
+
+function noteNameFailure(ids, reason) {
+  if (!ids.length) return;
+  const retryAt = Date.now() + NAME_RETRY_MS;
+  for (const id of ids) {
+    if (!nameCache.has(id)) nameCache.set(id, id);
+    nameExpiry.set(id, retryAt);
+  }
+  incCounter("tm_name_fallbacks_total", { reason }, ids.length);
+}
+
+// Pushes a rename into cached rows (holder and map author) so pages stop showing the old name
+function applyRenames(renamed) {
+  const byId = new Map(renamed.map((r) => [r.accountId, r.newName]));
+  const touched = [];
+  for (const r of wrCache.rows) {
+    let hit = false;
+    if (byId.has(r.accountId)) { r.displayName = byId.get(r.accountId); hit = true; }
+    if (byId.has(r.authorAccountId)) { r.authorName = stripTmFormatting(byId.get(r.authorAccountId)); hit = true; }
+    if (hit) touched.push(r);
+  }
+  if (touched.length) saveWrRowsToDb(touched, wrCache.ts);
+  console.log(`🔤 ${renamed.length} player(s) renamed, ${touched.length} cached row(s) updated`);
+}
 
 async function resolveDisplayNames(_liveAccessToken, ids) {
   const all = Array.from(new Set((ids || []).filter(Boolean)));
-  const need = all.filter((id) => !nameCache.has(id));
+  const need = all.filter((id) => !nameIsFresh(id));
   if (!need.length) return nameCache;
 
   const oToken = await getOAuthToken();
@@ -353,9 +732,10 @@ async function resolveDisplayNames(_liveAccessToken, ids) {
     for (const id of batch) params.append("accountId[]", id);
 
     try {
-      const r = await fetchWithTimeout(
-        `https://api.trackmania.com/api/display-names?${params.toString()}`,
+      const r = await upstreamFetch(
+        `${OAUTH_BASE}/api/display-names?${params.toString()}`,
         {
+          caller: "display-names",
           headers: {
             Authorization: `Bearer ${oToken}`,
             Accept: "application/json",
@@ -365,18 +745,29 @@ async function resolveDisplayNames(_liveAccessToken, ids) {
         15000
       );
       if (!r.ok) {
-        for (const id of batch) if (!nameCache.has(id)) nameCache.set(id, id);
+        noteNameFailure(batch, "http-error");
         continue;
       }
       const j = await r.json(); // { "<accountId>": "DisplayName" }
+      const resolved = [];
+      const missing = [];
+      const expAt = Date.now() + NAME_TTL_MS;
       for (const id of batch) {
         const dn = j?.[id];
-        nameCache.set(id, (typeof dn === "string" && dn) || id);
+        if (typeof dn !== "string" || !dn) {
+          missing.push(id);
+          continue;
+        }
+        nameCache.set(id, dn);
+        nameExpiry.set(id, expAt);
+        resolved.push([id, dn]);
       }
+      noteNameFailure(missing, "missing");
+      const renamed = saveNamesToDb(resolved);
+      if (renamed.length) applyRenames(renamed);
     } catch {
-      for (const id of batch) if (!nameCache.has(id)) nameCache.set(id, id);
+      noteNameFailure(batch, "exception");
     }
-    await new Promise((r) => setTimeout(r, 40));
   }
   return nameCache;
 }
@@ -393,6 +784,7 @@ const AUTO_UID_REFRESH =
 
 const DISK_WR = process.env.CACHE_PATH_WR || "/tmp/wr_cache.json";
 const DISK_CLUB = process.env.CACHE_PATH_CLUB || "/tmp/club_uids.json";
+const DISK_MAPMETA = process.env.CACHE_PATH_MAPMETA || path.join(path.dirname(DISK_WR), "map_meta.json");
 
 function loadJson(pathname) {
   try {
@@ -408,177 +800,895 @@ function saveJson(pathname, obj) {
   } catch {}
 }
 
-/* --------------------- Build utilities --------------------- */
-function includeClubByDefault() {
-  return (process.env.INCLUDE_CLUB_BY_DEFAULT ?? "true").toLowerCase() === "true";
+/* ---------------------- Storage (SQLite) ------------------- */
+// Everything that must survive a restart. Reads are still served from the
+// in-memory caches; the DB is written through whenever those change.
+const DB_PATH = process.env.DB_PATH || "/tmp/trackmania.db";
+fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+const db = new Database(DB_PATH);
+db.pragma("journal_mode = WAL");
+db.pragma("synchronous = NORMAL");
+db.exec(`
+  CREATE TABLE IF NOT EXISTS kv            (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS wr_rows       (map_uid TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS club_uids     (map_uid TEXT PRIMARY KEY);
+  CREATE TABLE IF NOT EXISTS display_names (account_id TEXT PRIMARY KEY, display_name TEXT NOT NULL, updated_at INTEGER NOT NULL);
+  CREATE TABLE IF NOT EXISTS map_meta      (map_uid TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS club_campaigns (club_id TEXT NOT NULL, campaign_id TEXT NOT NULL, club_name TEXT, campaign_name TEXT,
+                                            updated_at INTEGER NOT NULL, PRIMARY KEY (club_id, campaign_id));
+  CREATE TABLE IF NOT EXISTS club_campaign_maps (map_uid TEXT NOT NULL, club_id TEXT NOT NULL, campaign_id TEXT NOT NULL,
+                                            position INTEGER NOT NULL, PRIMARY KEY (map_uid, club_id, campaign_id));
+  CREATE TABLE IF NOT EXISTS map_checks    (map_uid TEXT PRIMARY KEY, first_seen INTEGER NOT NULL, checked_at INTEGER NOT NULL);
+  CREATE TABLE IF NOT EXISTS name_history  (id INTEGER PRIMARY KEY AUTOINCREMENT, account_id TEXT NOT NULL,
+                                            display_name TEXT NOT NULL, first_seen INTEGER NOT NULL, last_seen INTEGER NOT NULL);
+  CREATE INDEX IF NOT EXISTS name_history_account ON name_history (account_id, id);
+  CREATE TABLE IF NOT EXISTS audit_log     (id INTEGER PRIMARY KEY AUTOINCREMENT, at INTEGER NOT NULL, key_name TEXT,
+                                            scope TEXT NOT NULL, method TEXT NOT NULL, path TEXT NOT NULL,
+                                            status INTEGER NOT NULL, outcome TEXT NOT NULL, ip TEXT);
+  CREATE INDEX IF NOT EXISTS audit_log_at ON audit_log (at);
+`);
+
+const sql = {
+  kvGet: db.prepare("SELECT value FROM kv WHERE key = ?"),
+  kvSet: db.prepare("INSERT INTO kv (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"),
+  wrAll: db.prepare("SELECT data FROM wr_rows"),
+  wrUpsert: db.prepare("INSERT INTO wr_rows (map_uid, data) VALUES (?, ?) ON CONFLICT(map_uid) DO UPDATE SET data = excluded.data"),
+  wrClear: db.prepare("DELETE FROM wr_rows"),
+  clubAll: db.prepare("SELECT map_uid FROM club_uids"),
+  clubInsert: db.prepare("INSERT OR IGNORE INTO club_uids (map_uid) VALUES (?)"),
+  clubClear: db.prepare("DELETE FROM club_uids"),
+  namesAll: db.prepare("SELECT account_id, display_name, updated_at FROM display_names"),
+  nameGet: db.prepare("SELECT display_name, updated_at FROM display_names WHERE account_id = ?"),
+  nameHistLatest: db.prepare("SELECT id, display_name FROM name_history WHERE account_id = ? ORDER BY id DESC LIMIT 1"),
+  nameHistInsert: db.prepare("INSERT INTO name_history (account_id, display_name, first_seen, last_seen) VALUES (?, ?, ?, ?)"),
+  nameHistTouch: db.prepare("UPDATE name_history SET last_seen = ? WHERE id = ?"),
+  nameHistFor: db.prepare("SELECT display_name, first_seen, last_seen FROM name_history WHERE account_id = ? ORDER BY id DESC"),
+  nameUpsert: db.prepare(
+    "INSERT INTO display_names (account_id, display_name, updated_at) VALUES (?, ?, ?) " +
+    "ON CONFLICT(account_id) DO UPDATE SET display_name = excluded.display_name, updated_at = excluded.updated_at"
+  ),
+  metaAll: db.prepare("SELECT map_uid, data FROM map_meta"),
+  metaUpsert: db.prepare("INSERT INTO map_meta (map_uid, data) VALUES (?, ?) ON CONFLICT(map_uid) DO UPDATE SET data = excluded.data"),
+  campaignsAll: db.prepare("SELECT club_id, campaign_id, club_name, campaign_name, updated_at FROM club_campaigns"),
+  campaignMapsAll: db.prepare("SELECT map_uid, club_id, campaign_id, position FROM club_campaign_maps"),
+  campaignUpsert: db.prepare(
+    "INSERT INTO club_campaigns (club_id, campaign_id, club_name, campaign_name, updated_at) VALUES (?, ?, ?, ?, ?) " +
+    "ON CONFLICT(club_id, campaign_id) DO UPDATE SET club_name = excluded.club_name, " +
+    "campaign_name = excluded.campaign_name, updated_at = excluded.updated_at"
+  ),
+  campaignMapsClear: db.prepare("DELETE FROM club_campaign_maps WHERE club_id = ? AND campaign_id = ?"),
+  campaignMapInsert: db.prepare("INSERT OR IGNORE INTO club_campaign_maps (map_uid, club_id, campaign_id, position) VALUES (?, ?, ?, ?)"),
+  campaignsClear: db.prepare("DELETE FROM club_campaigns"),
+  campaignMapsClearAll: db.prepare("DELETE FROM club_campaign_maps"),
+  checksAll: db.prepare("SELECT map_uid, first_seen, checked_at FROM map_checks"),
+  checkUpsert: db.prepare(
+    "INSERT INTO map_checks (map_uid, first_seen, checked_at) VALUES (?, ?, ?) " +
+    "ON CONFLICT(map_uid) DO UPDATE SET checked_at = excluded.checked_at"
+  ),
+  auditInsert: db.prepare(
+    "INSERT INTO audit_log (at, key_name, scope, method, path, status, outcome, ip) VALUES (?, ?, ?, ?, ?, ?, ?, ?)"
+  ),
+  auditPrune: db.prepare("DELETE FROM audit_log WHERE at < ?"),
+};
+
+function kvGet(key) {
+  const row = sql.kvGet.get(key);
+  return row ? JSON.parse(row.value) : null;
+}
+function kvSet(key, value) {
+  sql.kvSet.run(key, JSON.stringify(value));
 }
 
-async function computeAllMapUids(access, { includeClub }) {
-  const [official, totdUids] = await Promise.all([
-    getAllOfficialCampaigns(access),
-    getAllTotdMapUidsViaLive(access),
-  ]);
-  const officialSet = new Set(official.flatMap((c) => (c.playlist || []).map((p) => p.mapUid)));
+function loadWrCacheFromDb() {
+  const rows = sql.wrAll.all().map((r) => JSON.parse(r.data));
+  rows.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+  return { ts: kvGet("wr_ts") || 0, rows };
+}
+const saveWrRowsToDb = db.transaction((rows, ts) => {
+  for (const r of rows) sql.wrUpsert.run(r.mapUid, JSON.stringify(r));
+  kvSet("wr_ts", ts);
+});
+const replaceWrRowsInDb = db.transaction((rows, ts) => {
+  sql.wrClear.run();
+  saveWrRowsToDb(rows, ts);
+});
 
-  let clubUids = [];
-  let clubSet = new Set();
+function loadClubUidsFromDb() {
+  return { ts: kvGet("club_ts") || 0, uids: sql.clubAll.all().map((r) => r.map_uid) };
+}
+const saveClubUidsToDb = db.transaction((uids, ts) => {
+  sql.clubClear.run();
+  for (const uid of uids) sql.clubInsert.run(uid);
+  kvSet("club_ts", ts);
+});
 
-  if (includeClub) {
-    const disk = loadJson(DISK_CLUB);
-    const fresh =
-      disk &&
-      Date.now() - (disk.ts || 0) < CLUB_UID_TTL &&
-      Array.isArray(disk.uids) &&
-      disk.uids.length;
-    if (fresh) {
-      clubUids = disk.uids;
-    } else {
-      clubUids = await getAllClubMapUids(access);
-      saveJson(DISK_CLUB, { ts: Date.now(), uids: clubUids });
-    }
-    clubSet = new Set(clubUids);
+// [{ clubId, campaignId, clubName, campaignName, updatedAt, playlist }]
+function loadClubCampaignsFromDb() {
+  const byKey = new Map();
+  for (const r of sql.campaignsAll.all()) {
+    byKey.set(`${r.club_id}:${r.campaign_id}`, {
+      clubId: r.club_id, campaignId: r.campaign_id, clubName: r.club_name, campaignName: r.campaign_name,
+      updatedAt: r.updated_at, playlist: [],
+    });
+  }
+  const maps = sql.campaignMapsAll.all().sort((a, b) => a.position - b.position);
+  for (const m of maps) byKey.get(`${m.club_id}:${m.campaign_id}`)?.playlist.push(m.map_uid);
+  return Array.from(byKey.values());
+}
+// replace = true drops campaigns that are no longer listed (full discovery)
+const saveClubCampaignsToDb = db.transaction((campaigns, replace = false) => {
+  if (replace) {
+    sql.campaignsClear.run();
+    sql.campaignMapsClearAll.run();
+  }
+  for (const c of campaigns) {
+    const [clubId, campaignId] = [String(c.clubId), String(c.campaignId)];
+    sql.campaignUpsert.run(clubId, campaignId, c.clubName ?? null, c.campaignName ?? null, c.updatedAt || 0);
+    sql.campaignMapsClear.run(clubId, campaignId);
+    c.playlist.forEach((uid, i) => sql.campaignMapInsert.run(uid, clubId, campaignId, i));
   }
+});
 
-  const allMapUids = Array.from(new Set([...officialSet, ...totdUids, ...clubSet]));
-  return { officialSet, clubSet, allMapUids };
+function loadMapChecksFromDb() {
+  return new Map(sql.checksAll.all().map((r) => [r.map_uid, { firstSeen: r.first_seen, checkedAt: r.checked_at }]));
 }
+const saveMapChecksToDb = db.transaction((entries) => {
+  for (const [uid, c] of entries) sql.checkUpsert.run(uid, c.firstSeen, c.checkedAt);
+});
 
-async function fetchAllWRs(access, allMapUids, officialSet, clubSet) {
-  const wrs = [];
-  for (let i = 0; i < allMapUids.length; i += WR_CONCURRENCY) {
-    const part = await Promise.all(
-      allMapUids.slice(i, i + WR_CONCURRENCY).map(async (uid) => {
-        let row = sanitizeRow(await getMapWR(access, uid));
-        if (!row) {
-          await new Promise((r) => setTimeout(r, 60));
-          row = sanitizeRow(await getMapWR(access, uid));
-        }
-        if (!row) return null;
-        row.sourceType = officialSet.has(uid) ? "official" : (clubSet.has(uid) ? "club" : "totd");
-        return row;
-      })
-    );
-    wrs.push(...part.filter(Boolean));
+// [{ accountId, displayName, checkedAt }]
+function loadNamesFromDb() {
+  return sql.namesAll.all().map((r) => ({ accountId: r.account_id, displayName: r.display_name, checkedAt: r.updated_at }));
+}
+// Upserts verified names and extends name_history; returns [{ accountId, oldName, newName }] for renames
+const saveNamesToDb = db.transaction((pairs) => {
+  const now = Date.now();
+  const renamed = [];
+  for (const [id, name] of pairs) {
+    sql.nameUpsert.run(id, name, now);
+    const last = sql.nameHistLatest.get(id);
+    if (last?.display_name === name) {
+      sql.nameHistTouch.run(now, last.id);
+      continue;
+    }
+    sql.nameHistInsert.run(id, name, now, now);
+    if (last) renamed.push({ accountId: id, oldName: last.display_name, newName: name });
   }
-  return wrs;
+  return renamed;
+});
+
+function loadNameHistory(accountId) {
+  return sql.nameHistFor.all(accountId).map((r) => ({ displayName: r.display_name, firstSeen: r.first_seen, lastSeen: r.last_seen }));
 }
 
-function swapCache(rows) {
-  rows.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
-  wrCache = { ts: Date.now(), rows };
-  saveJson(DISK_WR, wrCache);
+// Names stored before name_history existed become each account's first entry
+(function seedNameHistoryOnce() {
+  if (kvGet("name_history_seeded")) return;
+  const { changes } = db.prepare(
+    "INSERT INTO name_history (account_id, display_name, first_seen, last_seen) " +
+    "SELECT account_id, display_name, updated_at, updated_at FROM display_names d " +
+    "WHERE NOT EXISTS (SELECT 1 FROM name_history h WHERE h.account_id = d.account_id)"
+  ).run();
+  kvSet("name_history_seeded", true);
+  if (changes) console.log(`🔤 Seeded name history for ${changes} accounts`);
+})();
+
+function loadMapMetaFromDb() {
+  return new Map(sql.metaAll.all().map((r) => [r.map_uid, JSON.parse(r.data)]));
 }
+const saveMapMetaToDb = db.transaction((entries) => {
+  for (const [uid, m] of entries) sql.metaUpsert.run(uid, JSON.stringify(m));
+});
 
-/* ---------------------- Full build (one-shot) -------------- */
-async function buildAllWRs({ includeClub = true } = {}) {
-  const access = await getLiveAccessToken();
-  const { officialSet, clubSet, allMapUids } = await computeAllMapUids(access, { includeClub });
-  const wrs = await fetchAllWRs(access, allMapUids, officialSet, clubSet);
+// One-time import of the JSON blobs older deploys wrote to /tmp (or /data)
+(function importLegacyJsonOnce() {
+  if (kvGet("legacy_json_imported")) return;
+  const wr = loadJson(DISK_WR);
+  const club = loadJson(DISK_CLUB);
+  const meta = loadJson(DISK_MAPMETA);
+  const wrRows = Array.isArray(wr?.rows) ? wr.rows.filter((r) => r?.mapUid) : [];
+  const clubUids = Array.isArray(club?.uids) ? club.uids : [];
+  const metaEntries = Object.entries(meta?.maps || {});
+
+  if (wrRows.length) replaceWrRowsInDb(wrRows, wr.ts || Date.now());
+  if (clubUids.length) saveClubUidsToDb(clubUids, club.ts || 0);
+  if (metaEntries.length) saveMapMetaToDb(metaEntries);
+  kvSet("legacy_json_imported", Date.now());
+  if (wrRows.length || clubUids.length || metaEntries.length) {
+    console.log(`📦 Imported legacy JSON cache: ${wrRows.length} WRs, ${clubUids.length} club UIDs, ${metaEntries.length} maps`);
+  }
+})();
 
-  const ids = wrs.map((r) => r.accountId).filter(Boolean);
-  await resolveDisplayNames(access, ids);
-  for (const r of wrs) if (r.accountId) r.displayName = nameCache.get(r.accountId) || r.accountId;
+/* ---------------------- Map metadata ----------------------- */
+// mapUid -> { name, authorAccountId, authorTime, thumbnailUrl, fetchedAt }
+const MAP_META_TTL = Number(process.env.MAP_META_TTL_HOURS || 168) * 3600 * 1000;
+const MAP_META_BATCH = 100;
+const mapMeta = loadMapMetaFromDb();
+
+// Same rules as the TOTD fetcher: drop $-codes, keep escaped "$$" as "$"
+function stripTmFormatting(input) {
+  if (!input || typeof input !== "string") return input;
+  const D = "\uFFF0";
+  let s = input.replace(/\$\$/g, D);
+  s = s.replace(/\$[0-9a-fA-F]{1,3}|\$[a-zA-Z]|\$[<>\[\]\(\)]/g, "");
+  return s.replace(new RegExp(D, "g"), "$");
+}
 
-  swapCache(wrs);
-  metaCache = { officialSet, clubSet, allMapUids };
-  return wrCache.rows;
+async function fetchMapInfoBatch(accessToken, uids) {
+  const url = `${LIVE_BASE}/api/token/map/get-multiple?mapUidList=${uids.map(encodeURIComponent).join(",")}`;
+  const j = await jget(url, accessToken);
+  return j?.mapList || [];
 }
 
-/* ------------- Rebuild but only apply actual changes ------- */
-function diffAndMergeByMap(oldRows, newRows) {
-  const byOld = new Map(oldRows.map((r) => [r.mapUid, r]));
-  const byNew = new Map(newRows.map((r) => [r.mapUid, r]));
-  const updated = [];
+// Fetch metadata for any UID we don't have (or that went stale), then persist.
+// Never throws: rows simply stay un-enriched if upstream is unavailable.
+async function ensureMapMeta(accessToken, uids) {
+  const now = Date.now();
+  const need = Array.from(new Set(uids.filter(Boolean)))
+    .filter((uid) => !mapMeta.has(uid) || now - (mapMeta.get(uid).fetchedAt || 0) > MAP_META_TTL);
+  if (!need.length) return;
 
-  for (const [uid, n] of byNew) {
-    const o = byOld.get(uid);
-    if (!o || o.accountId !== n.accountId || o.timeMs !== n.timeMs || (o.timestamp || 0) !== (n.timestamp || 0)) {
-      updated.push(n);
+  const added = [];
+  for (let i = 0; i < need.length; i += MAP_META_BATCH) {
+    const batch = need.slice(i, i + MAP_META_BATCH);
+    try {
+      const list = await fetchMapInfoBatch(accessToken, batch);
+      for (const m of list) {
+        const uid = m?.uid || m?.mapUid;
+        if (!uid) continue;
+        const entry = {
+          name: stripTmFormatting(m.name || m.filename || "") || null,
+          authorAccountId: m.author || null,
+          authorTime: Number.isFinite(Number(m.authorTime ?? m.authorScore)) ? Number(m.authorTime ?? m.authorScore) : null,
+          thumbnailUrl: m.thumbnailUrl || null,
+          fetchedAt: now,
+        };
+        mapMeta.set(uid, entry);
+        added.push([uid, entry]);
+      }
+    } catch (e) {
+      console.error("⚠️ Map metadata batch failed:", e?.message || e);
     }
   }
-  const merged = [...byOld.values()];
-  for (const u of updated) {
-    const idx = merged.findIndex((r) => r.mapUid === u.mapUid);
-    if (idx >= 0) merged[idx] = u;
-    else merged.push(u);
+
+  try {
+    const authors = need.map((uid) => mapMeta.get(uid)?.authorAccountId).filter(Boolean);
+    await resolveDisplayNames(accessToken, authors);
+  } catch (e) {
+    console.error("⚠️ Map author names failed:", e?.message || e);
   }
-  merged.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
-  return { merged, updatedCount: updated.length };
+
+  if (added.length) saveMapMetaToDb(added);
 }
 
-async function rebuildNow({ includeClub }) {
-  const access = await getLiveAccessToken();
+function applyMapMeta(rows) {
+  for (const r of rows) {
+    const m = mapMeta.get(r.mapUid);
+    if (!m) continue;
+    r.mapName = m.name;
+    r.authorAccountId = m.authorAccountId;
+    r.authorName = m.authorAccountId ? stripTmFormatting(nameCache.get(m.authorAccountId) || m.authorAccountId) : null;
+    r.thumbnailUrl = m.thumbnailUrl;
+    r.authorTime = m.authorTime;
+  }
+  return rows;
+}
 
-  let { officialSet, clubSet, allMapUids } = metaCache;
-  if (!allMapUids.length || (includeClub && clubSet.size === 0)) {
-    const meta = await computeAllMapUids(access, { includeClub });
-    officialSet = meta.officialSet;
-    clubSet = meta.clubSet;
-    allMapUids = meta.allMapUids;
-    metaCache = { officialSet, clubSet, allMapUids };
+/* ---------------------- Club provenance -------------------- */
+// Which club campaigns each map belongs to. A map can sit in several
+// campaigns; rows carry the most recently updated one as their primary.
+let clubIndex = { campaigns: new Map(), byMap: new Map(), clubs: new Map() };
+
+function rebuildClubIndex(list) {
+  const campaigns = new Map(); // "clubId:campaignId" -> campaign (later entries win)
+  for (const c of list) campaigns.set(`${c.clubId}:${c.campaignId}`, { ...c, clubId: String(c.clubId), campaignId: String(c.campaignId) });
+  const byMap = new Map(); // mapUid -> [campaign], most recently updated first
+  const clubs = new Map(); // clubId -> { clubId, clubName, campaigns: [campaign], mapUids: Set }
+  for (const c of [...campaigns.values()].sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))) {
+    let club = clubs.get(c.clubId);
+    if (!club) {
+      club = { clubId: c.clubId, clubName: c.clubName || null, campaigns: [], mapUids: new Set() };
+      clubs.set(c.clubId, club);
+    }
+    club.clubName ||= c.clubName || null;
+    club.campaigns.push(c);
+    for (const uid of c.playlist) {
+      club.mapUids.add(uid);
+      if (!byMap.has(uid)) byMap.set(uid, []);
+      byMap.get(uid).push(c);
+    }
   }
+  clubIndex = { campaigns, byMap, clubs };
+  applyClubProvenance(wrCache.rows);
+}
 
-  const newRows = await fetchAllWRs(access, allMapUids, officialSet, clubSet);
-  const ids = newRows.map((r) => r.accountId).filter(Boolean);
-  await resolveDisplayNames(access, ids);
-  for (const r of newRows) if (r.accountId) r.displayName = nameCache.get(r.accountId) || r.accountId;
+function applyClubProvenance(rows) {
+  for (const r of rows) {
+    const c = clubIndex.byMap.get(r.mapUid)?.[0];
+    if (!c) continue;
+    r.clubId = c.clubId;
+    r.clubName = c.clubName || null;
+    r.campaignId = c.campaignId;
+    r.campaignName = c.campaignName || null;
+  }
+  return rows;
+}
 
-  const { merged, updatedCount } = diffAndMergeByMap(wrCache.rows || [], newRows);
-  wrCache = { ts: Date.now(), rows: merged };
-  saveJson(DISK_WR, wrCache);
+/* ---------------------- WR history log --------------------- */
+// Append-only log of every detected WR change (new holder or new time).
+// One JSON object per line so a crash mid-write never corrupts older entries.
+const DISK_HISTORY = process.env.CACHE_PATH_HISTORY || "/tmp/wr_history.ndjson";
+let wrHistory = []; // oldest first
 
-  return {
-    updated: updatedCount,
-    total: merged.length,
-    counts: {
-      official: merged.filter((r) => r.sourceType === "official").length,
-      totd: merged.filter((r) => r.sourceType === "totd").length,
-      club: merged.filter((r) => r.sourceType === "club").length,
-    },
-  };
+function loadHistory(pathname) {
+  try {
+    return fs.readFileSync(pathname, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => { try { return JSON.parse(line); } catch { return null; } })
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
 }
 
-/* ----------- Quick refresh (only when requested) ----------- */
-async function quickRefreshRecent({ count = QUICK_REFRESH_COUNT } = {}) {
-  if (!wrCache.rows.length) return;
-  const access = await getLiveAccessToken();
-
-  const recent = wrCache.rows.slice(0, Math.min(count, wrCache.rows.length));
-  const part = await Promise.all(
-    recent.map(async (prev) => {
-      const row = sanitizeRow(await getMapWR(access, prev.mapUid));
-      if (!row) return null;
-      row.sourceType = prev.sourceType;
-      return row;
-    })
-  );
-  const fresh = part.filter(Boolean);
+function isWrChange(prev, next) {
+  return !prev || prev.accountId !== next.accountId || prev.timeMs !== next.timeMs;
+}
 
-  const byMap = new Map(wrCache.rows.map((r) => [r.mapUid, r]));
-  let changed = 0;
-  for (const r of fresh) {
-    const prev = byMap.get(r.mapUid);
-    if (!prev || prev.accountId !== r.accountId || prev.timeMs !== r.timeMs || (prev.timestamp || 0) !== (r.timestamp || 0)) {
-      byMap.set(r.mapUid, r);
-      changed++;
-    }
+// changes: [{ prev, next }] where prev may be undefined for newly tracked maps
+function recordWrChanges(changes, via) {
+  const detectedAt = Date.now();
+  const entries = [];
+  for (const { prev, next } of changes) {
+    if (!next || !isWrChange(prev, next)) continue;
+    entries.push({
+      mapUid: next.mapUid,
+      mapName: next.mapName ?? prev?.mapName ?? null,
+      sourceType: next.sourceType || prev?.sourceType || null,
+      oldAccountId: prev?.accountId ?? null,
+      oldDisplayName: prev?.displayName ?? null,
+      oldTimeMs: prev?.timeMs ?? null,
+      oldTimestamp: prev?.timestamp ?? null,
+      newAccountId: next.accountId,
+      newDisplayName: next.displayName || next.accountId,
+      newTimeMs: next.timeMs,
+      newTimestamp: next.timestamp ?? null,
+      detectedAt,
+      via,
+    });
+  }
+  if (!entries.length) return entries;
+
+  incCounter("tm_wr_changes_total", { via }, entries.length);
+  const stolen = entries.filter((e) => e.oldAccountId && e.oldAccountId !== e.newAccountId).length;
+  if (stolen) incCounter("tm_wr_steals_total", { via }, stolen);
+  wrHistory.push(...entries);
+  publishWrEvents(entries);
+  dispatchWebhooks(entries);
+  try {
+    fs.mkdirSync(path.dirname(DISK_HISTORY), { recursive: true });
+    fs.appendFileSync(DISK_HISTORY, entries.map((e) => JSON.stringify(e)).join("\n") + "\n");
+  } catch (e) {
+    console.error("⚠️ Failed to append WR history:", e?.message || e);
   }
-  if (!changed) return;
+  return entries;
+}
 
-  const ids = fresh.map((r) => r.accountId).filter(Boolean);
-  await resolveDisplayNames(null, ids);
-  for (const r of byMap.values()) if (r.accountId) r.displayName = nameCache.get(r.accountId) || r.accountId;
+// A steal is a history entry where the WR moved from one account to another.
+// Derived from wrHistory on demand; recomputed only when the log has grown.
+let stealIndex = { len: -1, steals: [] };
+
+function wrSteals() {
+  if (stealIndex.len === wrHistory.length) return stealIndex.steals;
+  const steals = [];
+  for (const e of wrHistory) {
+    if (!e.oldAccountId || !e.newAccountId || e.oldAccountId === e.newAccountId) continue;
+    steals.push({
+      mapUid: e.mapUid,
+      mapName: e.mapName ?? null,
+      sourceType: e.sourceType ?? null,
+      fromAccountId: e.oldAccountId,
+      toAccountId: e.newAccountId,
+      oldTimeMs: e.oldTimeMs ?? null,
+      newTimeMs: e.newTimeMs ?? null,
+      improvementMs: e.oldTimeMs != null && e.newTimeMs != null ? e.oldTimeMs - e.newTimeMs : null,
+      at: e.newTimestamp || Math.floor(e.detectedAt / 1000),
+      detectedAt: e.detectedAt,
+    });
+  }
+  stealIndex = { len: wrHistory.length, steals };
+  return steals;
+}
 
-  const merged = Array.from(byMap.values()).sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
-  wrCache = { ts: Date.now(), rows: merged };
+const stealName = (id) => nameCache.get(id) || id;
+
+/* ---------------------- WR live stream --------------------- */
+// SSE fan-out of history entries. A small backlog lets clients resume
+// with Last-Event-ID after a reconnect without missing changes.
+const STREAM_BACKLOG = 500;
+const STREAM_HEARTBEAT_MS = 25_000;
+let streamSeq = Date.now();   // seeded from the clock so ids keep growing across restarts
+const streamEvents = [];      // [{ id, entry }] oldest first
+const streamClients = new Set(); // { res, types: Set|null }
+
+function parseTypeFilter(raw) {
+  const type = (raw || "all").toString().trim().toLowerCase();
+  if (type === "all") return null;
+  return new Set(type.split(",").map((s) => s.trim()).filter(Boolean));
 }
 
-/* --- Auto-discover NEW map UIDs on requests (cheap) -------- */
-async function maybeRefreshUidUniverse() {
-  if (!AUTO_UID_REFRESH) return;
-  if (!metaCache.allMapUids.length) return;
+function writeStreamEvent(res, { id, entry }) {
+  res.write(`id: ${id}\nevent: wr\ndata: ${JSON.stringify(entry)}\n\n`);
+  res.flush?.(); // compression buffers otherwise
+}
 
-  const access = await getLiveAccessToken();
+function publishWrEvents(entries) {
+  for (const entry of entries) {
+    const ev = { id: ++streamSeq, entry };
+    streamEvents.push(ev);
+    for (const c of streamClients) {
+      if (!c.types || c.types.has(entry.sourceType)) writeStreamEvent(c.res, ev);
+    }
+  }
+  if (streamEvents.length > STREAM_BACKLOG) streamEvents.splice(0, streamEvents.length - STREAM_BACKLOG);
+}
+
+/* ---------------------- Outgoing webhooks ------------------ */
+// Hooks come from WEBHOOKS (read-only) plus the admin route (persisted).
+// Failed deliveries retry with exponential backoff, then land in the DLQ.
+const WEBHOOKS_FILE = process.env.WEBHOOKS_FILE || "/tmp/webhooks.json";
+const WEBHOOK_DLQ_PATH = process.env.WEBHOOK_DLQ_PATH || "/tmp/webhook_dlq.ndjson";
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+const WEBHOOK_BACKOFF_MS = Number(process.env.WEBHOOK_BACKOFF_MS || 1000);
+const WEBHOOK_FORMATS = new Set(["json", "discord"]);
+const WEBHOOK_BATCH = 10; // Discord allows at most 10 embeds per message
+
+function normalizeWebhook(raw, id) {
+  if (!raw || typeof raw !== "object") throw new Error("webhook must be an object");
+  let url;
+  try { url = new URL(String(raw.url || "")); } catch { throw new Error("invalid url"); }
+  if (url.protocol !== "http:" && url.protocol !== "https:") throw new Error("url must be http(s)");
+  const format = (raw.format || "json").toString().toLowerCase();
+  if (!WEBHOOK_FORMATS.has(format)) throw new Error(`unknown format "${format}"`);
+  const list = (v) => (Array.isArray(v) ? v.map(String).filter(Boolean) : []);
+  return {
+    id,
+    url: url.toString(),
+    format,
+    sourceTypes: list(raw.sourceTypes),
+    accountIds: list(raw.accountIds),
+    mapUids: list(raw.mapUids),
+    createdAt: raw.createdAt || Date.now(),
+  };
+}
+
+function loadEnvWebhooks() {
+  if (!process.env.WEBHOOKS) return [];
+  try {
+    const arr = JSON.parse(process.env.WEBHOOKS);
+    return (Array.isArray(arr) ? arr : []).map((h, i) => ({ ...normalizeWebhook(h, `env-${i}`), fromEnv: true }));
+  } catch (e) {
+    console.error("⚠️ Ignoring WEBHOOKS env:", e?.message || e);
+    return [];
+  }
+}
+
+const envWebhooks = loadEnvWebhooks();
+let adminWebhooks = (loadJson(WEBHOOKS_FILE)?.hooks || []).flatMap((h) => {
+  try { return [normalizeWebhook(h, h.id)]; } catch { return []; }
+});
+const webhookDlq = loadHistory(WEBHOOK_DLQ_PATH); // same NDJSON layout as the history log
+
+function allWebhooks() { return [...envWebhooks, ...adminWebhooks]; }
+function saveAdminWebhooks() { saveJson(WEBHOOKS_FILE, { hooks: adminWebhooks }); }
+
+function webhookMatches(hook, e) {
+  if (hook.sourceTypes.length && !hook.sourceTypes.includes(e.sourceType)) return false;
+  if (hook.mapUids.length && !hook.mapUids.includes(e.mapUid)) return false;
+  if (hook.accountIds.length && !hook.accountIds.includes(e.newAccountId) && !hook.accountIds.includes(e.oldAccountId)) return false;
+  return true;
+}
+
+function fmtRaceTime(ms) {
+  if (!Number.isFinite(ms)) return "—";
+  const m = Math.floor(ms / 60000), s = Math.floor((ms % 60000) / 1000), x = ms % 1000;
+  return `${m}:${String(s).padStart(2, "0")}.${String(x).padStart(3, "0")}`;
+}
+
+const DISCORD_COLORS = { official: 0x3aa0ff, totd: 0x6dfbff, club: 0xffa53b };
+
+function discordEmbed(e) {
+  const map = e.mapName || mapMeta.get(e.mapUid)?.name || e.mapUid;
+  const holder = e.newDisplayName || e.newAccountId;
+  const fields = [
+    { name: "Time", value: fmtRaceTime(e.newTimeMs), inline: true },
+    { name: "Source", value: e.sourceType || "—", inline: true },
+  ];
+  if (e.oldAccountId) {
+    const gap = Number.isFinite(e.oldTimeMs) ? ` (-${fmtRaceTime(e.oldTimeMs - e.newTimeMs)})` : "";
+    fields.push({ name: "Previous", value: `${e.oldDisplayName || e.oldAccountId} — ${fmtRaceTime(e.oldTimeMs)}${gap}`, inline: false });
+  }
+  const thumb = mapMeta.get(e.mapUid)?.thumbnailUrl;
+  return {
+    title: `New WR on ${map}`,
+    description: `**${holder}** set ${fmtRaceTime(e.newTimeMs)}`,
+    color: DISCORD_COLORS[e.sourceType] ?? 0x3aa0ff,
+    fields,
+    ...(thumb ? { thumbnail: { url: thumb } } : {}),
+    timestamp: new Date((e.newTimestamp ? e.newTimestamp * 1000 : e.detectedAt) || Date.now()).toISOString(),
+  };
+}
+
+function renderWebhookPayload(hook, entries) {
+  if (hook.format === "discord") {
+    return { username: "Trackmania Events", embeds: entries.map(discordEmbed) };
+  }
+  return { event: "wr.changed", sentAt: new Date().toISOString(), entries };
+}
+
+// Single attempt. Resolves { ok, status, retryable, retryAfterMs, error }.
+async function postWebhook(url, payload) {
+  try {
+    const r = await fetchWithTimeout(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "User-Agent": "trackmaniaevents.com/1.0 (Render)" },
+      body: JSON.stringify(payload),
+    }, 10000);
+    if (r.ok) return { ok: true, status: r.status };
+    const ra = Number(r.headers.get("retry-after"));
+    return {
+      ok: false,
+      status: r.status,
+      retryable: r.status === 429 || r.status >= 500,
+      retryAfterMs: Number.isFinite(ra) && ra > 0 ? ra * 1000 : 0,
+      error: `HTTP ${r.status} ${await r.text().catch(() => "")}`.trim(),
+    };
+  } catch (e) {
+    return { ok: false, status: 0, retryable: true, retryAfterMs: 0, error: e?.message || String(e) };
+  }
+}
+
+async function deliverWithRetry(hook, payload) {
+  let last;
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    last = await postWebhook(hook.url, payload);
+    if (last.ok || !last.retryable) break;
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+      const backoff = Math.min(WEBHOOK_BACKOFF_MS * 2 ** (attempt - 1), 60_000);
+      await new Promise((r) => setTimeout(r, Math.max(backoff, last.retryAfterMs)));
+    }
+  }
+  if (last.ok) return last;
+
+  const dead = { hookId: hook.id, url: hook.url, payload, error: last.error, status: last.status, failedAt: Date.now() };
+  webhookDlq.push(dead);
+  try {
+    fs.mkdirSync(path.dirname(WEBHOOK_DLQ_PATH), { recursive: true });
+    fs.appendFileSync(WEBHOOK_DLQ_PATH, JSON.stringify(dead) + "\n");
+  } catch (e) {
+    console.error("⚠️ Failed to write webhook DLQ:", e?.message || e);
+  }
+  console.error(`⚠️ Webhook ${hook.id} gave up: ${last.error}`);
+  return last;
+}
+
+function dispatchWebhooks(entries) {
+  for (const hook of allWebhooks()) {
+    const matching = entries.filter((e) => webhookMatches(hook, e));
+    for (let i = 0; i < matching.length; i += WEBHOOK_BATCH) {
+      const payload = renderWebhookPayload(hook, matching.slice(i, i + WEBHOOK_BATCH));
+      deliverWithRetry(hook, payload).catch(() => {});
+    }
+  }
+}
+
+/* ------------------------ Job manager ---------------------- */
+// Builds and refreshes run as named jobs so /api/admin/jobs can show what is
+// running, how far it got, per-phase durations and the last error. Jobs are
+// cancelled cooperatively: long loops call jobCheck() between batches.
+const JOB_HISTORY = 50;
+const jobs = new Map(); // id -> job (insertion order = start order)
+let jobSeq = 0;
+
+function jobCheck(job) {
+  if (job?.cancelRequested) {
+    const err = new Error("job cancelled");
+    err.code = "JOB_CANCELLED";
+    throw err;
+  }
+}
+
+function endPhase(job) {
+  const ph = job.phases[job.phases.length - 1];
+  if (ph && !ph.finishedAt) {
+    ph.finishedAt = Date.now();
+    ph.durationMs = ph.finishedAt - ph.startedAt;
+  }
+}
+
+function jobPhase(job, name, total = 0) {
+  if (!job) return;
+  jobCheck(job);
+  endPhase(job);
+  job.phase = name;
+  job.phases.push({ name, startedAt: Date.now(), finishedAt: null, durationMs: null, processed: 0, total });
+  job.progress = job.phases[job.phases.length - 1];
+}
+
+function jobTick(job, n = 1) {
+  if (job?.progress) job.progress.processed += n;
+}
+
+function publicJob(job) {
+  const { promise: _promise, ...rest } = job;
+  const now = job.finishedAt || Date.now();
+  return { ...rest, durationMs: now - job.startedAt };
+}
+
+function activeJob(name) {
+  for (const job of jobs.values()) if (job.name === name && job.status === "running") return job;
+  return null;
+}
+
+function runJob(name, fn, params = {}) {
+  const job = {
+    id: `${name}-${++jobSeq}`,
+    name,
+    params,
+    status: "running",
+    phase: null,
+    progress: null,
+    phases: [],
+    startedAt: Date.now(),
+    finishedAt: null,
+    error: null,
+    result: null,
+    wrChanged: 0,
+    cancelRequested: false,
+  };
+  jobs.set(job.id, job);
+
+  job.promise = (async () => {
+    try {
+      const result = await fn(job);
+      job.status = "done";
+      job.result = result && !Array.isArray(result) ? result : null;
+      return result;
+    } catch (e) {
+      job.status = e?.code === "JOB_CANCELLED" ? "cancelled" : "failed";
+      job.error = e?.message || String(e);
+      throw e;
+    } finally {
+      endPhase(job);
+      job.phase = null;
+      job.finishedAt = Date.now();
+      observe("tm_job_duration_seconds", { job: name, status: job.status }, (job.finishedAt - job.startedAt) / 1000);
+      if (job.status === "done") observe("tm_refresh_wr_changed", { job: name }, job.wrChanged);
+      const finished = [...jobs.values()].filter((j) => j.status !== "running");
+      for (const old of finished.slice(0, Math.max(0, finished.length - JOB_HISTORY))) jobs.delete(old.id);
+    }
+  })();
+  job.promise.catch(() => {}); // callers that care await job.promise themselves
+  return job;
+}
+
+// One full build at a time; concurrent callers share the running job
+function startFullBuild(includeClub = includeClubByDefault()) {
+  return activeJob("full-build") || runJob("full-build", (job) => buildAllWRs({ includeClub, job }), { includeClub });
+}
+
+/* --------------------- Build utilities --------------------- */
+function includeClubByDefault() {
+  return (process.env.INCLUDE_CLUB_BY_DEFAULT ?? "true").toLowerCase() === "true";
+}
+
+async function computeAllMapUids(access, { includeClub, job = null }) {
+  jobPhase(job, "uid-discovery");
+  const [official, totdUids] = await Promise.all([
+    getAllOfficialCampaigns(access),
+    getAllTotdMapUidsViaLive(access),
+  ]);
+  const officialSet = new Set(official.flatMap((c) => (c.playlist || []).map((p) => p.mapUid)));
+
+  let clubUids = [];
+  let clubSet = new Set();
+
+  if (includeClub) {
+    const disk = loadClubUidsFromDb();
+    const fresh =
+      disk &&
+      Date.now() - (disk.ts || 0) < CLUB_UID_TTL &&
+      Array.isArray(disk.uids) &&
+      disk.uids.length &&
+      clubIndex.campaigns.size; // UIDs cached before the campaign index existed: fetch once more
+    if (fresh) {
+      clubUids = disk.uids;
+    } else {
+      const campaigns = await getClubCampaigns(access);
+      clubUids = Array.from(new Set(campaigns.flatMap((c) => c.playlist)));
+      saveClubUidsToDb(clubUids, Date.now());
+      saveClubCampaignsToDb(campaigns, true);
+      rebuildClubIndex(campaigns);
+    }
+    clubSet = new Set(clubUids);
+  }
+
+  const allMapUids = Array.from(new Set([...officialSet, ...totdUids, ...clubSet]));
+  jobTick(job, allMapUids.length);
+  return { officialSet, clubSet, allMapUids };
+}
+
+async function fetchAllWRs(access, allMapUids, officialSet, clubSet, job = null) {
+  jobPhase(job, "wr-fetch", allMapUids.length);
+  const wrs = [];
+  for (let i = 0; i < allMapUids.length; i += WR_CONCURRENCY) {
+    jobCheck(job);
+    const part = await Promise.all(
+      allMapUids.slice(i, i + WR_CONCURRENCY).map(async (uid) => {
+        // one retry; pacing is left to the per-host limiter
+        const row = sanitizeRow(await getMapWR(access, uid)) || sanitizeRow(await getMapWR(access, uid));
+        if (!row) return null;
+        row.sourceType = officialSet.has(uid) ? "official" : (clubSet.has(uid) ? "club" : "totd");
+        return row;
+      })
+    );
+    wrs.push(...part.filter(Boolean));
+    jobTick(job, part.length);
+  }
+  return wrs;
+}
+
+// Names + map metadata for freshly fetched rows (shared by full and diff builds)
+async function decorateRows(access, rows, mapUids, job = null) {
+  jobPhase(job, "name-resolution", rows.length);
+  const ids = rows.map((r) => r.accountId).filter(Boolean);
+  await resolveDisplayNames(access, ids);
+  for (const r of rows) if (r.accountId) r.displayName = nameCache.get(r.accountId) || r.accountId;
+  jobTick(job, rows.length);
+
+  jobPhase(job, "map-metadata", mapUids.length);
+  await ensureMapMeta(access, mapUids);
+  applyClubProvenance(applyMapMeta(rows));
+  jobTick(job, mapUids.length);
+}
+
+function swapCache(rows) {
+  rows.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+  wrCache = { ts: Date.now(), rows };
+  replaceWrRowsInDb(rows, wrCache.ts);
+}
+
+/* ---------------------- Full build (one-shot) -------------- */
+async function buildAllWRs({ includeClub = true, job = null } = {}) {
+  const access = await getLiveAccessToken();
+  const { officialSet, clubSet, allMapUids } = await computeAllMapUids(access, { includeClub, job });
+  const wrs = await fetchAllWRs(access, allMapUids, officialSet, clubSet, job);
+  await decorateRows(access, wrs, allMapUids, job);
+  jobCheck(job);
+
+  swapCache(wrs);
+  metaCache = { officialSet, clubSet, allMapUids };
+  markMapsChecked(allMapUids);
+  return wrCache.rows;
+}
+
+/* ------------- Rebuild but only apply actual changes ------- */
+function diffAndMergeByMap(oldRows, newRows) {
+  const byOld = new Map(oldRows.map((r) => [r.mapUid, r]));
+  const byNew = new Map(newRows.map((r) => [r.mapUid, r]));
+  const updated = [];
+  const changes = [];
+
+  for (const [uid, n] of byNew) {
+    const o = byOld.get(uid);
+    if (!o || o.accountId !== n.accountId || o.timeMs !== n.timeMs || (o.timestamp || 0) !== (n.timestamp || 0)) {
+      updated.push(n);
+      changes.push({ prev: o, next: n });
+    }
+  }
+  const merged = [...byOld.values()];
+  for (const u of updated) {
+    const idx = merged.findIndex((r) => r.mapUid === u.mapUid);
+    if (idx >= 0) merged[idx] = u;
+    else merged.push(u);
+  }
+  merged.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+  return { merged, updatedCount: updated.length, changes };
+}
+
+async function rebuildNow({ includeClub, job = null }) {
+  const access = await getLiveAccessToken();
+
+  let { officialSet, clubSet, allMapUids } = metaCache;
+  if (!allMapUids.length || (includeClub && clubSet.size === 0)) {
+    const meta = await computeAllMapUids(access, { includeClub, job });
+    officialSet = meta.officialSet;
+    clubSet = meta.clubSet;
+    allMapUids = meta.allMapUids;
+    metaCache = { officialSet, clubSet, allMapUids };
+  }
+
+  const newRows = await fetchAllWRs(access, allMapUids, officialSet, clubSet, job);
+  await decorateRows(access, newRows, allMapUids, job);
+  jobCheck(job);
+
+  const { merged, updatedCount, changes } = diffAndMergeByMap(wrCache.rows || [], newRows);
+  wrCache = { ts: Date.now(), rows: merged };
+  saveWrRowsToDb(changes.map((c) => c.next), wrCache.ts);
+  const logged = recordWrChanges(changes, "rebuild");
+  if (job) job.wrChanged = logged.length;
+  markMapsChecked(allMapUids);
+
+  return {
+    updated: updatedCount,
+    total: merged.length,
+    counts: {
+      official: merged.filter((r) => r.sourceType === "official").length,
+      totd: merged.filter((r) => r.sourceType === "totd").length,
+      club: merged.filter((r) => r.sourceType === "club").length,
+    },
+  };
+}
+
+/* ----------- Quick refresh (only when requested) ----------- */
+async function quickRefreshRecent({ count = QUICK_REFRESH_COUNT, job = null } = {}) {
+  if (!wrCache.rows.length) return;
+  const access = await getLiveAccessToken();
+
+  const recent = wrCache.rows.slice(0, Math.min(count, wrCache.rows.length));
+  jobPhase(job, "wr-fetch", recent.length);
+  const part = await Promise.all(
+    recent.map(async (prev) => {
+      const row = sanitizeRow(await getMapWR(access, prev.mapUid));
+      jobTick(job);
+      if (!row) return null;
+      row.sourceType = prev.sourceType;
+      return row;
+    })
+  );
+  const fresh = part.filter(Boolean);
+
+  markMapsChecked(fresh.map((r) => r.mapUid));
+  await mergeFreshRows(access, fresh, "quick", job);
+}
+
+// Merges re-fetched WR rows into wrCache; only rows that actually changed are
+// decorated, saved and logged (with `via`). Returns the logged history entries.
+async function mergeFreshRows(access, fresh, via, job = null) {
+  const byMap = new Map(wrCache.rows.map((r) => [r.mapUid, r]));
+  const changes = [];
+  for (const r of fresh) {
+    const prev = byMap.get(r.mapUid);
+    if (!prev || prev.accountId !== r.accountId || prev.timeMs !== r.timeMs || (prev.timestamp || 0) !== (r.timestamp || 0)) {
+      byMap.set(r.mapUid, r);
+      changes.push({ prev, next: r });
+    }
+  }
+  if (!changes.length) return [];
+
+  const changed = changes.map((c) => c.next);
+  jobPhase(job, "name-resolution", changed.length);
+  await resolveDisplayNames(null, changed.map((r) => r.accountId).filter(Boolean));
+  for (const r of changed) if (r.accountId) r.displayName = nameCache.get(r.accountId) || r.accountId;
+  await ensureMapMeta(access, changed.map((r) => r.mapUid));
+  applyClubProvenance(applyMapMeta(changed));
+
+  const merged = Array.from(byMap.values()).sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+  wrCache = { ts: Date.now(), rows: merged };
+  saveWrRowsToDb(changed, wrCache.ts);
+  const logged = recordWrChanges(changes, via);
+  if (job) job.wrChanged = logged.length;
+  return logged;
+}
+
+/* --- Auto-discover NEW map UIDs on requests (cheap) -------- */
+async function maybeRefreshUidUniverse({ job = null } = {}) {
+  if (!AUTO_UID_REFRESH) return;
+  if (!metaCache.allMapUids.length) return;
+
+  const access = await getLiveAccessToken();
+  jobPhase(job, "uid-discovery");
 
   const official = await getAllOfficialCampaigns(access);
   const latestOfficialSet = new Set(official.flatMap((c) => (c.playlist || []).map((p) => p.mapUid)));
@@ -593,10 +1703,13 @@ async function maybeRefreshUidUniverse() {
 
   const recentClubRefs = await listAllClubCampaignRefsWithPlaylists(access);
   const latestClubSet = new Set();
-  for (const r of recentClubRefs.slice(0, 100)) {
-    const list = r.playlist?.length ? r.playlist : await fetchClubCampaignPlaylist(access, r.clubId, r.campaignId);
-    for (const uid of list || []) latestClubSet.add(uid);
+  const recentCampaigns = recentClubRefs.slice(0, 100);
+  for (const r of recentCampaigns) {
+    if (!r.playlist?.length) r.playlist = await fetchClubCampaignPlaylist(access, r.clubId, r.campaignId);
+    for (const uid of r.playlist || []) latestClubSet.add(uid);
   }
+  saveClubCampaignsToDb(recentCampaigns);
+  rebuildClubIndex([...clubIndex.campaigns.values(), ...recentCampaigns]);
 
   const oldSet = new Set(metaCache.allMapUids);
   const candidates = new Set([...latestOfficialSet, ...latestTotdSet, ...latestClubSet]);
@@ -606,58 +1719,224 @@ async function maybeRefreshUidUniverse() {
   const officialSet = new Set([...metaCache.officialSet, ...latestOfficialSet]);
   const clubSet = new Set([...metaCache.clubSet, ...latestClubSet]);
 
+  jobPhase(job, "wr-fetch", newUids.length);
   const freshRows = [];
   for (let i = 0; i < newUids.length; i += WR_CONCURRENCY) {
+    jobCheck(job);
     const part = await Promise.all(
       newUids.slice(i, i + WR_CONCURRENCY).map(async (uid) => {
-        let row = sanitizeRow(await getMapWR(access, uid));
-        if (!row) {
-          await new Promise((r) => setTimeout(r, 60));
-          row = sanitizeRow(await getMapWR(access, uid));
-        }
+        // one retry; pacing is left to the per-host limiter
+        const row = sanitizeRow(await getMapWR(access, uid)) || sanitizeRow(await getMapWR(access, uid));
         if (!row) return null;
         row.sourceType = officialSet.has(uid) ? "official" : (clubSet.has(uid) ? "club" : "totd");
         return row;
       })
     );
     freshRows.push(...part.filter(Boolean));
+    jobTick(job, part.length);
   }
   if (!freshRows.length) return;
 
+  jobPhase(job, "name-resolution", freshRows.length);
   const ids = freshRows.map((r) => r.accountId).filter(Boolean);
   await resolveDisplayNames(null, ids);
   for (const r of freshRows) if (r.accountId) r.displayName = nameCache.get(r.accountId) || r.accountId;
+  await ensureMapMeta(access, freshRows.map((r) => r.mapUid));
+  applyClubProvenance(applyMapMeta(freshRows));
 
   const byMap = new Map(wrCache.rows.map((r) => [r.mapUid, r]));
-  for (const r of freshRows) byMap.set(r.mapUid, r);
+  const changes = [];
+  for (const r of freshRows) {
+    changes.push({ prev: byMap.get(r.mapUid), next: r });
+    byMap.set(r.mapUid, r);
+  }
   const merged = Array.from(byMap.values()).sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
   wrCache = { ts: Date.now(), rows: merged };
+  saveWrRowsToDb(freshRows, wrCache.ts);
+  const logged = recordWrChanges(changes, "discover");
+  if (job) job.wrChanged = logged.length;
 
   const combined = new Set([...metaCache.allMapUids, ...newUids]);
   metaCache = { officialSet, clubSet, allMapUids: Array.from(combined) };
 }
 
+/* ----------- Rolling refresh of the whole map universe ----------- */
+// Re-checks every tracked map on its own interval, within a fixed upstream
+// budget. Busy maps (recent WR or recent steals), young maps and official/TOTD
+// maps get shorter intervals; no map waits longer than ROLLING_WINDOW_HOURS
+// unless the budget is too small for the universe (logged once per tick).
+const ROLLING_REFRESH = (process.env.ROLLING_REFRESH ?? "true").toLowerCase() === "true";
+const ROLLING_BUDGET_PER_HOUR = Number(process.env.ROLLING_BUDGET_PER_HOUR || 1800);
+const ROLLING_WINDOW_MS = Number(process.env.ROLLING_WINDOW_HOURS || 72) * 3600 * 1000;
+const ROLLING_TICK_MS = Number(process.env.ROLLING_TICK_SECONDS || 30) * 1000;
+const ROLLING_SOURCE_WEIGHT = { official: 1, totd: 0.8, club: 0.6 };
+const DAY_MS = 86400 * 1000;
+
+const mapChecks = loadMapChecksFromDb(); // mapUid -> { firstSeen, checkedAt }
+const rolling = { dueNow: 0, ticks: 0, checked: 0, errors: 0, changes: 0, lastTickAt: 0, credit: 0, recent: [], warnedAt: 0 };
+
+function markMapsChecked(uids, at = Date.now()) {
+  const touched = [];
+  for (const uid of uids) {
+    const c = mapChecks.get(uid) || { firstSeen: at, checkedAt: 0 };
+    c.checkedAt = at;
+    mapChecks.set(uid, c);
+    touched.push([uid, c]);
+  }
+  if (touched.length) saveMapChecksToDb(touched);
+}
+
+function rollingUniverse() {
+  const uids = new Set(metaCache.allMapUids);
+  for (const r of wrCache.rows) uids.add(r.mapUid);
+  return uids;
+}
+
+// 0..1; higher = revisit sooner
+function rollingPriority(row, steals30d, firstSeen, now) {
+  const wrAgeDays = row?.timestamp ? (now - row.timestamp * 1000) / DAY_MS : 365;
+  const activity = Math.max(Math.exp(-wrAgeDays / 14), Math.min(1, steals30d / 3));
+  const youth = Math.exp(-(now - firstSeen) / (30 * DAY_MS));
+  return (ROLLING_SOURCE_WEIGHT[row?.sourceType] ?? 0.7) * (0.6 * activity + 0.4 * youth);
+}
+
+// Maps ordered by how overdue they are; interval shrinks from the window down to a tenth of it
+function rollingQueue(now = Date.now()) {
+  const rows = new Map(wrCache.rows.map((r) => [r.mapUid, r]));
+  const recentChanges = new Map();
+  for (let i = wrHistory.length - 1; i >= 0 && now - wrHistory[i].detectedAt < 30 * DAY_MS; i--) {
+    const uid = wrHistory[i].mapUid;
+    recentChanges.set(uid, (recentChanges.get(uid) || 0) + 1);
+  }
+
+  const queue = [];
+  for (const uid of rollingUniverse()) {
+    const row = rows.get(uid);
+    let c = mapChecks.get(uid);
+    if (!c) {
+      // first sight: treat as just built (a full build checked it) and date it by its WR
+      c = { firstSeen: row?.timestamp ? row.timestamp * 1000 : now, checkedAt: wrCache.ts || now };
+      mapChecks.set(uid, c);
+    }
+    const priority = rollingPriority(row, recentChanges.get(uid) || 0, c.firstSeen, now);
+    const interval = ROLLING_WINDOW_MS * (1 - 0.9 * priority);
+    queue.push({ uid, row, dueAt: c.checkedAt + interval, priority });
+  }
+  return queue.sort((a, b) => a.dueAt - b.dueAt);
+}
+
+async function rollingTick() {
+  const now = Date.now();
+  rolling.credit = Math.min(
+    rolling.credit + (ROLLING_BUDGET_PER_HOUR * (now - (rolling.lastTickAt || now - ROLLING_TICK_MS))) / 3600_000,
+    ROLLING_BUDGET_PER_HOUR * (ROLLING_TICK_MS / 3600_000) * 4 // don't bank more than a few ticks
+  );
+  rolling.lastTickAt = now;
+  // other writers merge into wrCache too; let them finish first
+  if (!wrCache.rows.length || ["full-build", "rebuild", "quick-refresh", "uid-refresh"].some(activeJob)) return;
+
+  const due = rollingQueue(now).filter((q) => q.dueAt <= now);
+  rolling.dueNow = due.length;
+  const take = due.slice(0, Math.floor(rolling.credit));
+  if (!take.length) return;
+  rolling.credit -= take.length;
+  rolling.ticks++;
+  const pastWindow = due.filter((q) => now - mapChecks.get(q.uid).checkedAt > ROLLING_WINDOW_MS).length;
+  if (pastWindow > take.length && now - rolling.warnedAt > 3600_000) {
+    rolling.warnedAt = now;
+    console.warn(`⚠️ Rolling refresh is behind: ${pastWindow} maps past the ${ROLLING_WINDOW_MS / 3600_000}h window; raise ROLLING_BUDGET_PER_HOUR`);
+  }
+
+  const access = await getLiveAccessToken();
+  const fresh = [];
+  const checked = [];
+  for (let i = 0; i < take.length; i += WR_CONCURRENCY) {
+    const part = await Promise.all(take.slice(i, i + WR_CONCURRENCY).map(async ({ uid, row: prev }) => {
+      const res = await getMapWR(access, uid);
+      if (res.error) {
+        rolling.errors++;
+        return null;
+      }
+      checked.push(uid);
+      const row = sanitizeRow(res);
+      if (!row) return null;
+      row.sourceType = prev?.sourceType || (metaCache.officialSet.has(uid) ? "official" : metaCache.clubSet.has(uid) ? "club" : "totd");
+      return row;
+    }));
+    fresh.push(...part.filter(Boolean));
+  }
+
+  markMapsChecked(checked);
+  rolling.checked += checked.length;
+  incCounter("tm_rolling_checks_total", {}, checked.length);
+  rolling.recent.push({ at: now, n: checked.length });
+  rolling.recent = rolling.recent.filter((t) => now - t.at < 3600_000);
+
+  const logged = await mergeFreshRows(access, fresh, "rolling");
+  rolling.changes += logged.length;
+  if (logged.length) {
+    respCache.clear();
+    console.log(`🔁 Rolling refresh: ${checked.length} maps checked, ${logged.length} WR change(s)`);
+  }
+}
+
+function rollingStats() {
+  const now = Date.now();
+  const queue = rollingQueue(now);
+  const oldest = queue.reduce((m, q) => Math.max(m, now - (mapChecks.get(q.uid)?.checkedAt || now)), 0);
+  return {
+    enabled: ROLLING_REFRESH,
+    budgetPerHour: ROLLING_BUDGET_PER_HOUR,
+    windowHours: ROLLING_WINDOW_MS / 3600_000,
+    tracked: queue.length,
+    due: queue.filter((q) => q.dueAt <= now).length,
+    pastWindow: queue.filter((q) => now - (mapChecks.get(q.uid)?.checkedAt || now) > ROLLING_WINDOW_MS).length,
+    oldestCheckAgeMs: oldest,
+    checkedLastHour: rolling.recent.reduce((n, t) => n + t.n, 0),
+    totals: { ticks: rolling.ticks, checked: rolling.checked, errors: rolling.errors, changes: rolling.changes },
+    lastTickAt: rolling.lastTickAt || null,
+  };
+}
+
+if (ROLLING_REFRESH) {
+  let ticking = false;
+  setInterval(async () => {
+    if (ticking) return;
+    ticking = true;
+    try {
+      await rollingTick();
+    } catch (e) {
+      console.error("Rolling refresh tick failed:", e?.message || e);
+    } finally {
+      ticking = false;
+    }
+  }, ROLLING_TICK_MS).unref();
+}
+
 /* -------------------- Warm start & background build -------- */
 (function warmStart() {
-  const disk = loadJson(DISK_WR);
-  if (disk && Array.isArray(disk.rows) && disk.rows.length) {
-    wrCache = { ts: disk.ts || Date.now(), rows: disk.rows };
-    console.log(`♻️  Warm-started cache from disk: ${wrCache.rows.length} rows`);
+  for (const n of loadNamesFromDb()) {
+    nameCache.set(n.accountId, n.displayName);
+    nameExpiry.set(n.accountId, n.checkedAt + NAME_TTL_MS);
+  }
+  const disk = loadWrCacheFromDb();
+  if (disk.rows.length) {
+    wrCache = { ts: disk.ts || Date.now(), rows: applyMapMeta(disk.rows) };
+    console.log(`♻️  Warm-started cache from ${DB_PATH}: ${wrCache.rows.length} rows, ${nameCache.size} names`);
   } else {
     console.log("⚠️  No disk cache found; a background build will prepare it.");
   }
+  rebuildClubIndex(loadClubCampaignsFromDb());
+  wrHistory = loadHistory(DISK_HISTORY);
+  if (wrHistory.length) console.log(`📜 Loaded ${wrHistory.length} WR history entries`);
 })();
 
-let building = false;
 async function warmBuildInBackground() {
-  if (wrCache.rows.length || building) return;
+  if (wrCache.rows.length || activeJob("full-build")) return;
   try {
-    building = true;
-    await buildAllWRs({ includeClub: includeClubByDefault() });
+    await startFullBuild().promise;
   } catch (e) {
     console.error("Warm build failed:", e?.message || e);
-  } finally {
-    building = false;
   }
 }
 warmBuildInBackground();
@@ -683,8 +1962,14 @@ function makeDebounced(fn, waitMs) {
     }
   };
 }
-const debouncedQuickRefresh = makeDebounced(() => quickRefreshRecent({ count: QUICK_REFRESH_COUNT }), 15_000);
-const debouncedUidRefresh   = makeDebounced(() => maybeRefreshUidUniverse(), 60_000);
+const debouncedQuickRefresh = makeDebounced(
+  () => runJob("quick-refresh", (job) => quickRefreshRecent({ count: QUICK_REFRESH_COUNT, job })).promise,
+  15_000
+);
+const debouncedUidRefresh = makeDebounced(
+  () => runJob("uid-refresh", (job) => maybeRefreshUidUniverse({ job })).promise,
+  60_000
+);
 
 /* -------------------- Small response cache ----------------- */
 const RESPONSE_TTL_SECONDS = Number(process.env.RESPONSE_TTL_SECONDS || 3);
@@ -693,18 +1978,289 @@ function cacheKey(req) { return req.originalUrl || req.url; }
 function getCached(req) {
   const k = cacheKey(req);
   const v = respCache.get(k);
-  if (!v) return null;
-  if (Date.now() - v.ts > RESPONSE_TTL_SECONDS * 1000) { respCache.delete(k); return null; }
-  return v.body;
+  const fresh = v && Date.now() - v.ts <= RESPONSE_TTL_SECONDS * 1000;
+  if (v && !fresh) respCache.delete(k);
+  // route pattern, not req.path: /api/player/:accountId would add a series per account
+  incCounter("tm_resp_cache_requests_total", { route: req.route?.path || "other", result: fresh ? "hit" : "miss" });
+  return fresh ? v.body : null;
+}
+function setCached(req, payload) {
+  const k = cacheKey(req);
+  respCache.set(k, { ts: Date.now(), body: payload });
+  // simple LRU bound
+  if (respCache.size > 200) {
+    const first = respCache.keys().next().value;
+    if (first) respCache.delete(first);
+  }
+}
+
+/* ------------------ Per-map leaderboard cache --------------- */
+// Separate from respCache: longer TTL, and concurrent misses for the same
+// key share one upstream call instead of each hitting the Live API.
+const LEADERBOARD_TTL_SECONDS = Number(process.env.LEADERBOARD_TTL_SECONDS || 60);
+const lbCache = new Map();    // `${mapUid}:${length}` -> { ts, body }
+const lbInflight = new Map(); // `${mapUid}:${length}` -> Promise<body>
+
+async function loadLeaderboard(mapUid, length) {
+  const access = await getLiveAccessToken();
+  const top = await getMapLeaderboard(access, mapUid, length);
+  await resolveDisplayNames(access, top.map((t) => t.accountId));
+  const firstMs = top[0]?.timeMs ?? null;
+  const rows = top.map((t) => ({
+    ...t,
+    displayName: nameCache.get(t.accountId) || t.accountId,
+    gapMs: firstMs != null ? t.timeMs - firstMs : null,
+  }));
+  return { mapUid, length, rows, fetchedAt: Date.now() };
+}
+
+function getLeaderboardCached(mapUid, length) {
+  const k = `${mapUid}:${length}`;
+  const hit = lbCache.get(k);
+  if (hit && Date.now() - hit.ts < LEADERBOARD_TTL_SECONDS * 1000) return Promise.resolve(hit.body);
+
+  let p = lbInflight.get(k);
+  if (!p) {
+    p = loadLeaderboard(mapUid, length)
+      .then((body) => {
+        lbCache.set(k, { ts: Date.now(), body });
+        if (lbCache.size > 500) {
+          const first = lbCache.keys().next().value;
+          if (first) lbCache.delete(first);
+        }
+        return body;
+      })
+      .finally(() => lbInflight.delete(k));
+    lbInflight.set(k, p);
+  }
+  return p;
+}
+
+/* -------------------- API keys & audit log ----------------- */
+// Privileged routes take a key in a request header only; query strings end up
+// in proxy and browser logs. Each key carries scopes, and every call to a
+// guarded route (allowed or not) is written to audit_log, except /metrics:
+// a scrape every few seconds would drown the log.
+const API_SCOPES = ["read-debug", "rebuild", "token-admin"];
+const ADMIN_SECRET = process.env.ADMIN_SECRET;
+const AUDIT_RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS || 90);
+
+const keyDigest = (key) => crypto.createHash("sha256").update(String(key)).digest();
+
+function loadApiKeys() {
+  let list = [];
+  try {
+    list = JSON.parse(process.env.API_KEYS || "[]");
+  } catch (e) {
+    console.warn("⚠️ API_KEYS is not valid JSON; ignoring:", e?.message || e);
+  }
+  const keys = [];
+  for (const k of Array.isArray(list) ? list : []) {
+    const name = String(k?.name || "").trim();
+    const scopes = (Array.isArray(k?.scopes) ? k.scopes : []).filter((s) => API_SCOPES.includes(s));
+    if (!name || !k?.key || !scopes.length) {
+      console.warn(`⚠️ API_KEYS entry "${name || "?"}" needs a name, a key and at least one known scope; skipped`);
+      continue;
+    }
+    keys.push({ name, digest: keyDigest(k.key), scopes });
+  }
+  if (ADMIN_SECRET) keys.push({ name: "admin", digest: keyDigest(ADMIN_SECRET), scopes: API_SCOPES });
+  return keys;
+}
+const apiKeys = loadApiKeys();
+if (!apiKeys.length) console.warn("⚠️ No API_KEYS or ADMIN_SECRET set; debug, rebuild and admin routes will refuse every call");
+
+function presentedKey(req) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  return (bearer?.[1] || req.headers["x-api-key"] || req.headers["x-admin-secret"] || "").toString().trim();
+}
+
+// Compares fixed-length digests against every key (no early exit), so timing
+// says nothing about how close a guess was or which key matched.
+function findApiKey(presented) {
+  const digest = keyDigest(presented);
+  let found = null;
+  for (const k of apiKeys) {
+    if (crypto.timingSafeEqual(digest, k.digest) && !found) found = k;
+  }
+  return found;
+}
+
+function clientIp(req) {
+  const fwd = (req.headers["x-forwarded-for"] || "").toString().split(",")[0].trim();
+  return fwd || req.socket?.remoteAddress || null;
+}
+
+function requireScope(scope, { audit = true } = {}) {
+  return (req, res, next) => {
+    res.setHeader("Cache-Control", "no-store");
+    const presented = presentedKey(req);
+    const key = presented ? findApiKey(presented) : null;
+    const allowed = !!key && key.scopes.includes(scope);
+
+    if (audit) res.on("finish", () => {
+      try {
+        sql.auditInsert.run(
+          Date.now(), key?.name || null, scope, req.method, req.originalUrl.split("?")[0],
+          res.statusCode, allowed ? "allowed" : "denied", clientIp(req)
+        );
+      } catch (e) {
+        console.warn("⚠️ audit log write failed:", e?.message || e);
+      }
+    });
+
+    if (!presented) {
+      const inQuery = req.query.secret != null || req.query.key != null || req.query.apiKey != null;
+      return res.status(401).json({ ok: false, error: inQuery ? "api key must be sent in a header" : "missing api key" });
+    }
+    if (!key) return res.status(401).json({ ok: false, error: "invalid api key" });
+    if (!allowed) return res.status(403).json({ ok: false, error: `key lacks scope ${scope}` });
+    req.apiKey = key;
+    next();
+  };
+}
+
+function pruneAuditLog() {
+  try {
+    const { changes } = sql.auditPrune.run(Date.now() - AUDIT_RETENTION_DAYS * 86400000);
+    if (changes) console.log(`🧾 Pruned ${changes} audit entries older than ${AUDIT_RETENTION_DAYS}d`);
+  } catch (e) {
+    console.warn("⚠️ audit prune failed:", e?.message || e);
+  }
+}
+pruneAuditLog();
+setInterval(pruneAuditLog, 24 * 3600 * 1000).unref();
+
+/* ------------------ Local-time ranges (IANA tz) ------------- */
+// Podium months/weeks start at local midnight in PODIUM_TZ, not UTC, so a WR
+// set at 9pm Detroit on the 31st counts for that month.
+const PODIUM_TZ = process.env.PODIUM_TZ || "America/Detroit";
+const tzFormatters = new Map();
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function zonedParts(tz, ms) {
+  let fmt = tzFormatters.get(tz);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone: tz, hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+    });
+    tzFormatters.set(tz, fmt);
+  }
+  const p = Object.fromEntries(fmt.formatToParts(new Date(ms)).map((x) => [x.type, x.value]));
+  return { year: +p.year, month: +p.month, day: +p.day, hour: +p.hour, minute: +p.minute, second: +p.second };
+}
+
+function tzOffsetMs(tz, ms) {
+  const p = zonedParts(tz, ms);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+// Epoch ms of local midnight on y-m-d in tz (month 1-based; overflow rolls like Date.UTC).
+// Two passes settle the offset on DST transition days.
+function zonedMidnight(tz, y, m, d) {
+  const wall = Date.UTC(y, m - 1, d);
+  const first = wall - tzOffsetMs(tz, wall);
+  return wall - tzOffsetMs(tz, first);
+}
+
+// month=YYYY-MM | week=YYYY-Www (ISO) | from=YYYY-MM-DD[&to=YYYY-MM-DD] (to inclusive).
+// from/to also take full ISO timestamps. Defaults to the current local month.
+function parseRange(query, tz) {
+  const month = (query.month || query.ym || "").toString().trim();
+  const week = (query.week || "").toString().trim().toUpperCase();
+  const from = (query.from || "").toString().trim();
+  const to = (query.to || "").toString().trim();
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/;
+  const boundary = (v, endOfDay) => {
+    const d = dateOnly.exec(v);
+    if (d) return zonedMidnight(tz, +d[1], +d[2], +d[3] + (endOfDay ? 1 : 0));
+    const ms = Date.parse(v);
+    if (!Number.isFinite(ms)) throw new Error(`invalid date: ${v}`);
+    return ms;
+  };
+
+  if (from || to) {
+    const start = from ? boundary(from, false) : 0;
+    const end = to ? boundary(to, true) : Date.now();
+    if (end <= start) throw new Error("to must be after from");
+    return { kind: "range", label: `${from || "…"}..${to || "now"}`, start, end };
+  }
+
+  if (week) {
+    const w = /^(\d{4})-?W(\d{2})$/.exec(week);
+    if (!w || +w[2] < 1 || +w[2] > 53) throw new Error("week must be YYYY-Www");
+    const jan4 = new Date(Date.UTC(+w[1], 0, 4));
+    const mondayDay = 4 - ((jan4.getUTCDay() + 6) % 7) + (+w[2] - 1) * 7; // day-of-January of that Monday
+    if (new Date(Date.UTC(+w[1], 0, mondayDay + 3)).getUTCFullYear() !== +w[1]) throw new Error(`${w[1]} has no week ${w[2]}`);
+    return {
+      kind: "week", label: `${w[1]}-W${w[2]}`,
+      start: zonedMidnight(tz, +w[1], 1, mondayDay), end: zonedMidnight(tz, +w[1], 1, mondayDay + 7),
+    };
+  }
+
+  let y, m;
+  if (month) {
+    const mm = /^(\d{4})-(\d{2})$/.exec(month);
+    if (!mm || +mm[2] < 1 || +mm[2] > 12) throw new Error("month must be YYYY-MM");
+    [y, m] = [+mm[1], +mm[2]];
+  } else {
+    ({ year: y, month: m } = zonedParts(tz, Date.now()));
+  }
+  return {
+    kind: "month", label: `${y}-${String(m).padStart(2, "0")}`,
+    start: zonedMidnight(tz, y, m, 1), end: zonedMidnight(tz, y, m + 1, 1),
+  };
 }
-function setCached(req, payload) {
-  const k = cacheKey(req);
-  respCache.set(k, { ts: Date.now(), body: payload });
-  // simple LRU bound
-  if (respCache.size > 200) {
-    const first = respCache.keys().next().value;
-    if (first) respCache.delete(first);
+
+// Ranks WR holders within [start, end). Ties on WR count go to whoever reached
+// that count first (earlier latest WR), then to the lower accountId.
+const PODIUM_TIE_BREAKS = ["wrs desc", "reachedAt asc", "accountId asc"];
+
+function podiumFor(rows, { start, end, types = null }) {
+  const tally = new Map();
+  const sources = { official: 0, totd: 0, club: 0 };
+  for (const r of rows) {
+    if (!r.accountId || !r.timestamp || !isValidTimeMs(Number(r.timeMs))) continue;
+    const ms = r.timestamp * 1000;
+    if (ms < start || ms >= end) continue;
+    if (types && !types.has(r.sourceType)) continue;
+    sources[r.sourceType] = (sources[r.sourceType] || 0) + 1;
+    const rec = tally.get(r.accountId) || {
+      accountId: r.accountId,
+      displayName: r.displayName || r.accountId,
+      wrs: 0,
+      bySource: { official: 0, totd: 0, club: 0 },
+      firstTs: r.timestamp,
+      latestTs: 0,
+    };
+    rec.wrs += 1;
+    rec.bySource[r.sourceType] = (rec.bySource[r.sourceType] || 0) + 1;
+    rec.firstTs = Math.min(rec.firstTs, r.timestamp);
+    rec.latestTs = Math.max(rec.latestTs, r.timestamp);
+    tally.set(r.accountId, rec);
   }
+
+  const ranked = Array.from(tally.values()).sort(
+    (a, b) => b.wrs - a.wrs || a.latestTs - b.latestTs || a.accountId.localeCompare(b.accountId)
+  );
+  // tieBreak names the rule that separated an entry from a neighbour with the same WR count
+  ranked.forEach((p, i) => {
+    const tiedWith = [ranked[i - 1], ranked[i + 1]].filter((o) => o && o.wrs === p.wrs);
+    p.rank = i + 1;
+    p.reachedAt = p.latestTs;
+    p.tied = tiedWith.length > 0;
+    p.tieBreak = !p.tied ? null : tiedWith.some((o) => o.latestTs === p.latestTs) ? "accountId" : "reachedAt";
+  });
+  return { ranked, sources, totalWrs: Object.values(sources).reduce((n, v) => n + v, 0) };
 }
 
 /* ------------------------ Endpoints ------------------------ */
@@ -712,10 +2268,16 @@ function setCached(req, payload) {
 // Readiness & auth probes
 app.get("/api/ready", (_req, res) => {
   res.setHeader("Cache-Control", "no-store");
-  res.json({ ok: !!wrCache.rows.length, building, rows: wrCache.rows.length, fetchedAt: wrCache.ts || null });
+  const build = activeJob("full-build") || activeJob("rebuild");
+  res.json({
+    ok: !!wrCache.rows.length,
+    building: !!build,
+    build: build ? { id: build.id, phase: build.phase, processed: build.progress?.processed ?? 0, total: build.progress?.total ?? 0 } : null,
+    rows: wrCache.rows.length,
+    fetchedAt: wrCache.ts || null,
+  });
 });
-app.get("/api/debug-auth", async (_req, res) => {
-  res.setHeader("Cache-Control", "no-store");
+app.get("/api/debug-auth", requireScope("read-debug"), async (_req, res) => {
   try {
     const token = await getLiveAccessToken();
     res.json({ ok: true, accessTokenPreview: token?.slice(0, 12) || null });
@@ -725,13 +2287,7 @@ app.get("/api/debug-auth", async (_req, res) => {
 });
 
 // Admin: rotate refresh token live (no redeploy)
-const ADMIN_SECRET = process.env.ADMIN_SECRET;
-app.post("/api/admin/set-refresh", express.json(), (req, res) => {
-  res.setHeader("Cache-Control", "no-store");
-  const auth = req.headers["x-admin-secret"] || req.query.secret;
-  if (!ADMIN_SECRET || auth !== ADMIN_SECRET) {
-    return res.status(403).json({ ok: false, error: "forbidden" });
-  }
+app.post("/api/admin/set-refresh", requireScope("token-admin"), express.json(), (req, res) => {
   const { token } = req.body || {};
   const cleaned = cleanToken(String(token || ""));
   if (!cleaned) return res.status(400).json({ ok: false, error: "missing token" });
@@ -747,11 +2303,113 @@ app.post("/api/admin/set-refresh", express.json(), (req, res) => {
   }
 });
 
+// Admin: outgoing webhooks
+app.get("/api/admin/webhooks", requireScope("token-admin"), (_req, res) => {
+  res.json({ hooks: allWebhooks(), deadLetters: webhookDlq.length });
+});
+
+app.post("/api/admin/webhooks", requireScope("token-admin"), express.json(), (req, res) => {
+  try {
+    const hook = normalizeWebhook(req.body, `wh-${Date.now().toString(36)}`);
+    adminWebhooks.push(hook);
+    saveAdminWebhooks();
+    res.status(201).json({ ok: true, hook });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e?.message || String(e) });
+  }
+});
+
+app.delete("/api/admin/webhooks/:id", requireScope("token-admin"), (req, res) => {
+  const before = adminWebhooks.length;
+  adminWebhooks = adminWebhooks.filter((h) => h.id !== req.params.id);
+  if (adminWebhooks.length === before) return res.status(404).json({ ok: false, error: "not found" });
+  saveAdminWebhooks();
+  res.json({ ok: true });
+});
+
+// Sends a sample entry once (no retries, no DLQ) and reports the upstream status
+app.post("/api/admin/webhooks/:id/test", requireScope("token-admin"), async (req, res) => {
+  const hook = allWebhooks().find((h) => h.id === req.params.id);
+  if (!hook) return res.status(404).json({ ok: false, error: "not found" });
+
+  const sample = wrHistory[wrHistory.length - 1] || {
+    mapUid: "TestMapUid000000000000000000", sourceType: "totd",
+    oldAccountId: null, oldDisplayName: null, oldTimeMs: null, oldTimestamp: null,
+    newAccountId: "00000000-0000-0000-0000-000000000000", newDisplayName: "Test Driver",
+    newTimeMs: 45123, newTimestamp: Math.floor(Date.now() / 1000), detectedAt: Date.now(), via: "test",
+  };
+  const result = await postWebhook(hook.url, renderWebhookPayload(hook, [sample]));
+  res.status(result.ok ? 200 : 502).json({ ok: result.ok, status: result.status, error: result.error || null });
+});
+
+app.get("/api/admin/webhooks/dlq", requireScope("token-admin"), (req, res) => {
+  const limit = Math.max(1, Math.min(1000, Number(req.query.limit) || 100));
+  res.json({ total: webhookDlq.length, items: webhookDlq.slice(-limit) });
+});
+
+// Re-queue every dead letter whose hook still exists; the DLQ file is rewritten
+app.post("/api/admin/webhooks/dlq/retry", requireScope("token-admin"), (_req, res) => {
+  const hooks = new Map(allWebhooks().map((h) => [h.id, h]));
+  const items = webhookDlq.splice(0, webhookDlq.length);
+  const kept = items.filter((d) => !hooks.has(d.hookId));
+  webhookDlq.push(...kept);
+  try {
+    fs.writeFileSync(WEBHOOK_DLQ_PATH, kept.map((d) => JSON.stringify(d) + "\n").join(""));
+  } catch {}
+  let requeued = 0;
+  for (const d of items) {
+    const hook = hooks.get(d.hookId);
+    if (!hook) continue;
+    deliverWithRetry(hook, d.payload).catch(() => {});
+    requeued++;
+  }
+  res.json({ ok: true, requeued, remaining: webhookDlq.length });
+});
+
+// Admin: background jobs (builds, refreshes)
+app.get("/api/admin/jobs", requireScope("read-debug"), (req, res) => {
+  const status = (req.query.status || "").toString();
+  const list = [...jobs.values()].reverse().filter((j) => !status || j.status === status);
+  res.json({ jobs: list.map(publicJob) });
+});
+
+app.get("/api/admin/jobs/:id", requireScope("read-debug"), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: "not found" });
+  res.json(publicJob(job));
+});
+
+app.post("/api/admin/jobs/:id/cancel", requireScope("rebuild"), (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: "not found" });
+  if (job.status !== "running") return res.status(409).json({ ok: false, error: `job is ${job.status}` });
+  job.cancelRequested = true;
+  res.json({ ok: true, job: publicJob(job) });
+});
+
+// Admin: audit log of privileged calls (newest first)
+app.get("/api/admin/audit", requireScope("token-admin"), (req, res) => {
+  const limit = Math.max(1, Math.min(1000, Number(req.query.limit) || 100));
+  const where = [];
+  const args = [];
+  if (req.query.keyName) { where.push("key_name = ?"); args.push(String(req.query.keyName)); }
+  if (req.query.outcome) { where.push("outcome = ?"); args.push(String(req.query.outcome)); }
+  if (req.query.since) { where.push("at >= ?"); args.push(Number(req.query.since) || 0); }
+  const items = db
+    .prepare(`SELECT * FROM audit_log ${where.length ? "WHERE " + where.join(" AND ") : ""} ORDER BY id DESC LIMIT ?`)
+    .all(...args, limit)
+    .map((r) => ({
+      at: r.at, keyName: r.key_name, scope: r.scope, method: r.method,
+      path: r.path, status: r.status, outcome: r.outcome, ip: r.ip,
+    }));
+  res.json({ items, retentionDays: AUDIT_RETENTION_DAYS });
+});
+
 // Common middleware: ensure cache once; never block responses later
 async function ensureCacheOnce(_req, res, next) {
   try {
     if (!wrCache.rows.length) {
-      await buildAllWRs({ includeClub: includeClubByDefault() });
+      await startFullBuild().promise;
     }
     return next();
   } catch (e) {
@@ -770,12 +2428,127 @@ const detroitDate = (tsMs) =>
     day: "2-digit",
   }).format(new Date(tsMs)).replaceAll("/", "-");
 
+const ACCOUNT_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// WR holders in /api/wr-players order: most WRs first, then most recent WR
+function tallyWrHolders(rows) {
+  const tally = new Map(); // accountId -> { accountId, displayName, wrCount, bySource, latestTs }
+  for (const r of rows) {
+    if (!r.accountId || !isValidTimeMs(Number(r.timeMs))) continue;
+    const rec = tally.get(r.accountId) || {
+      accountId: r.accountId,
+      displayName: r.displayName || r.accountId,
+      wrCount: 0,
+      bySource: { official: 0, totd: 0, club: 0 },
+      latestTs: 0,
+    };
+    rec.wrCount += 1;
+    rec.bySource[r.sourceType] = (rec.bySource[r.sourceType] || 0) + 1;
+    if ((r.timestamp || 0) > rec.latestTs) rec.latestTs = r.timestamp || 0;
+    tally.set(r.accountId, rec);
+  }
+  return Array.from(tally.values()).sort((a, b) => b.wrCount - a.wrCount || b.latestTs - a.latestTs);
+}
+
+// Keyset pagination for /api/wr-latest. The cursor is opaque to clients: it
+// carries the sort it was issued for and the (value, mapUid) of the last row.
+const WR_SORTS = {
+  timestamp: (r) => r.timestamp || 0,
+  timeMs: (r) => Number(r.timeMs) || 0,
+  displayName: (r) => (r.displayName || r.accountId || "").toLowerCase(),
+};
+
+function wrSortCompare(sort, dir) {
+  const key = WR_SORTS[sort];
+  const sign = dir === "asc" ? 1 : -1;
+  return (a, b) => {
+    const ka = key(a);
+    const kb = key(b);
+    if (ka !== kb) return (ka < kb ? -1 : 1) * sign;
+    return a.mapUid < b.mapUid ? -1 : a.mapUid > b.mapUid ? 1 : 0; // stable tie order
+  };
+}
+
+const encodeCursor = (c) => Buffer.from(JSON.stringify(c)).toString("base64url");
+function decodeCursor(raw) {
+  try {
+    const c = JSON.parse(Buffer.from(raw, "base64url").toString("utf8"));
+    if (c && WR_SORTS[c.s] && (c.d === "asc" || c.d === "desc") && typeof c.u === "string") return c;
+  } catch {}
+  return null;
+}
+
+// Epoch seconds from "1700000000" or any Date.parse-able string
+function parseEpochParam(v) {
+  if (v == null || v === "") return null;
+  const raw = v.toString().trim();
+  if (/^\d+$/.test(raw)) return Number(raw);
+  const ms = Date.parse(raw);
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : NaN;
+}
+
+// search / accountId / club / type / from / to filters shared by /api/wr-latest and /api/export/wrs
+function filterWrRows(rows, query, { from = null, to = null } = {}) {
+  let out = rows;
+  const search = (query.search || "").toString().trim().toLowerCase();
+  if (search) {
+    out = out.filter(
+      (r) =>
+        r.displayName?.toLowerCase().includes(search) ||
+        r.accountId?.toLowerCase().includes(search) ||
+        r.mapUid?.toLowerCase().includes(search) ||
+        r.mapName?.toLowerCase().includes(search) ||
+        r.authorName?.toLowerCase().includes(search)
+    );
+  }
+
+  const accountId = (query.accountId || "").toString().trim();
+  if (accountId) out = out.filter((r) => r.accountId === accountId);
+
+  const clubId = (query.club || "").toString().trim();
+  if (clubId) {
+    const uids = clubIndex.clubs.get(clubId)?.mapUids || new Set();
+    out = out.filter((r) => uids.has(r.mapUid));
+  }
+
+  const allow = parseTypeFilter(query.type);
+  if (allow) out = out.filter((r) => allow.has(r.sourceType));
+
+  if (from != null) out = out.filter((r) => (r.timestamp || 0) >= from);
+  if (to != null) out = out.filter((r) => (r.timestamp || 0) < to);
+
+  return out.filter((r) => isValidTimeMs(Number(r.timeMs)));
+}
+
+function sendWithEtag(req, res, entry) {
+  res.setHeader("ETag", entry.etag);
+  res.setHeader("Cache-Control", "public, max-age=3, stale-while-revalidate=60");
+  const inm = (req.headers["if-none-match"] || "").toString();
+  if (inm && inm.split(",").some((t) => t.trim() === entry.etag || t.trim() === "*")) return res.status(304).end();
+  res.json(entry.payload);
+}
+
 // Latest WRs (instant, cached)
+// GET /api/wr-latest?limit=300&sort=timestamp|timeMs|displayName&dir=desc|asc
+//                   &from=&to= (epoch seconds or ISO; from inclusive, to exclusive)
+//                   &accountId=&club=<clubId>&search=&type=&cursor=<nextCursor>
+// Responses carry an ETag; If-None-Match gets a 304 while nothing changed.
 app.get("/api/wr-latest", ensureCacheOnce, async (req, res) => {
   const cached = getCached(req);
-  if (cached) {
-    res.setHeader("Cache-Control", "public, max-age=3, stale-while-revalidate=60");
-    return res.json(cached);
+  if (cached) return sendWithEtag(req, res, cached);
+
+  const sort = (req.query.sort || "timestamp").toString();
+  const dir = (req.query.dir || (sort === "timestamp" ? "desc" : "asc")).toString().toLowerCase();
+  if (!WR_SORTS[sort]) return res.status(400).json({ error: `sort must be one of ${Object.keys(WR_SORTS).join(", ")}` });
+  if (dir !== "asc" && dir !== "desc") return res.status(400).json({ error: "dir must be asc or desc" });
+  const from = parseEpochParam(req.query.from);
+  const to = parseEpochParam(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) return res.status(400).json({ error: "invalid from/to" });
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor.toString());
+    if (!cursor) return res.status(400).json({ error: "invalid cursor" });
+    if (cursor.s !== sort || cursor.d !== dir) return res.status(400).json({ error: "cursor was issued for a different sort" });
   }
 
   try {
@@ -783,37 +2556,37 @@ app.get("/api/wr-latest", ensureCacheOnce, async (req, res) => {
     debouncedUidRefresh();
     debouncedQuickRefresh();
 
-    let out = wrCache.rows;
+    let out = filterWrRows(wrCache.rows, req.query, { from, to });
     const limit = Math.max(1, Math.min(1000, Number(req.query.limit) || 300));
 
-    const search = (req.query.search || "").toString().trim().toLowerCase();
-    if (search) {
-      out = out.filter(
-        (r) =>
-          r.displayName?.toLowerCase().includes(search) ||
-          r.accountId?.toLowerCase().includes(search) ||
-          r.mapUid?.toLowerCase().includes(search)
-      );
-    }
+    // Always sort, even for the default newest-first: cursors rely on the mapUid tie order
+    const cmp = wrSortCompare(sort, dir);
+    out = [...out].sort(cmp);
 
-    const type = (req.query.type || "all").toString().trim().toLowerCase();
-    if (type !== "all") {
-      const allow = new Set(type.split(",").map((s) => s.trim()).filter(Boolean));
-      out = out.filter((r) => allow.has(r.sourceType));
+    let startIdx = 0;
+    if (cursor) {
+      const pos = { mapUid: cursor.u, timestamp: cursor.v, timeMs: cursor.v, displayName: cursor.v };
+      startIdx = out.findIndex((r) => cmp(r, pos) > 0);
+      if (startIdx < 0) startIdx = out.length;
     }
-
-    out = out.filter((r) => isValidTimeMs(Number(r.timeMs)));
+    const rows = out.slice(startIdx, startIdx + limit);
+    const last = rows[rows.length - 1];
+    const hasMore = startIdx + rows.length < out.length;
 
     const payload = {
-      rows: out.slice(0, limit),
+      rows,
       total: out.length,
+      sort,
+      dir,
+      nextCursor: hasMore && last ? encodeCursor({ s: sort, d: dir, v: WR_SORTS[sort](last), u: last.mapUid }) : null,
       fetchedAt: wrCache.ts,
       generatedAt: new Date(wrCache.ts).toISOString(),
       date: detroitDate(wrCache.ts),
     };
-    setCached(req, payload);
-    res.setHeader("Cache-Control", "public, max-age=3, stale-while-revalidate=60");
-    res.json(payload);
+    const etag = `W/"${crypto.createHash("sha1").update(JSON.stringify(payload)).digest("base64url").slice(0, 27)}"`;
+    const entry = { payload, etag };
+    setCached(req, entry);
+    sendWithEtag(req, res, entry);
   } catch (err) {
     console.error("wr-latest:", err);
     res.status(500).json({ error: "Failed to load latest world records", detail: err?.message || String(err) });
@@ -832,23 +2605,7 @@ app.get("/api/wr-players", ensureCacheOnce, async (req, res) => {
     debouncedUidRefresh();
     debouncedQuickRefresh();
 
-    const safeRows = (wrCache.rows || []).filter((r) => isValidTimeMs(Number(r.timeMs)));
-
-    const tally = new Map(); // accountId -> { accountId, displayName, wrCount, latestTs }
-    for (const r of safeRows) {
-      if (!r.accountId) continue;
-      const rec = tally.get(r.accountId) || {
-        accountId: r.accountId,
-        displayName: r.displayName || r.accountId,
-        wrCount: 0,
-        latestTs: 0,
-      };
-      rec.wrCount += 1;
-      if ((r.timestamp || 0) > rec.latestTs) rec.latestTs = r.timestamp || 0;
-      tally.set(r.accountId, rec);
-    }
-
-    let list = Array.from(tally.values());
+    let list = tallyWrHolders(wrCache.rows || []);
     const q = (req.query.q || "").toString().trim().toLowerCase();
     if (q) {
       list = list.filter(
@@ -858,7 +2615,6 @@ app.get("/api/wr-players", ensureCacheOnce, async (req, res) => {
       );
     }
 
-    list.sort((a, b) => b.wrCount - a.wrCount || b.latestTs - a.latestTs);
     const limit = Math.max(1, Math.min(1000, Number(req.query.limit) || 200));
 
     const payload = { players: list.slice(0, limit), total: list.length, fetchedAt: wrCache.ts };
@@ -920,9 +2676,9 @@ app.get("/api/top-weekly", ensureCacheOnce, async (req, res) => {
   }
 });
 
-// NEW: Monthly podium (instant, cached)
-// GET /api/top-monthly?ym=YYYY-MM  (defaults to current month in America/Detroit)
-// Response: { ym, top:[{accountId, displayName, wrs}], generatedAt }
+// Monthly podium (instant, cached)
+// GET /api/top-monthly?ym=YYYY-MM&limit=3  (defaults to the current month in PODIUM_TZ)
+// Response: { ym, top:[{accountId, displayName, wrs, ...}], generatedAt }
 app.get("/api/top-monthly", ensureCacheOnce, async (req, res) => {
   const cached = getCached(req);
   if (cached) {
@@ -934,49 +2690,364 @@ app.get("/api/top-monthly", ensureCacheOnce, async (req, res) => {
     debouncedUidRefresh();
     debouncedQuickRefresh();
 
-    const tz = "America/Detroit";
     const ymRaw = (req.query.ym || "").toString().trim();
-    const now = new Date();
-
-    const ym = /^\d{4}-\d{2}$/.test(ymRaw)
-      ? ymRaw
-      : new Intl.DateTimeFormat("en-CA", { timeZone: tz, year: "numeric", month: "2-digit" })
-          .format(now).replace("/", "-"); // YYYY-MM from en-CA gives "YYYY/MM", normalize
-
-    const [Y, M] = ym.split("-").map(n => Number(n));
-    const start = new Date(Date.UTC(Y, M - 1, 1, 0, 0, 0));
-    const end   = new Date(Date.UTC(Y, M - 1 + 1, 1, 0, 0, 0));
-
-    // Convert Detroit-local first/last day to UTC bounds (approx by month)
-    const detroitStart = new Date(new Intl.DateTimeFormat("en-US", { timeZone: tz, year: "numeric", month: "2-digit", day: "2-digit" }).format(start) + " 00:00:00");
-    const detroitEnd   = new Date(new Intl.DateTimeFormat("en-US", { timeZone: tz, year: "numeric", month: "2-digit", day: "2-digit" }).format(end)   + " 00:00:00");
-    const fromEpoch = Math.floor(start.getTime() / 1000);
-    const toEpoch   = Math.floor(end.getTime() / 1000);
-
-    const safeRows = (wrCache.rows || []).filter((r) =>
-      isValidTimeMs(Number(r.timeMs)) &&
-      r.timestamp && r.timestamp >= fromEpoch && r.timestamp < toEpoch
-    );
+    const range = parseRange({ month: /^\d{4}-\d{2}$/.test(ymRaw) ? ymRaw : "" }, PODIUM_TZ);
+    const limit = Math.max(1, Math.min(50, Number(req.query.limit) || 3));
+    const { ranked } = podiumFor(wrCache.rows || [], range);
 
-    const tally = new Map(); // accountId -> { accountId, displayName, wrs, latestTs }
-    for (const r of safeRows) {
-      if (!r.accountId) continue;
-      const rec = tally.get(r.accountId) || {
-        accountId: r.accountId,
-        displayName: r.displayName || r.accountId,
-        wrs: 0,
-        latestTs: 0,
-      };
-      rec.wrs += 1;
-      if (r.timestamp > rec.latestTs) rec.latestTs = r.timestamp;
-      tally.set(r.accountId, rec);
+    const payload = { ym: range.label, top: ranked.slice(0, limit), generatedAt: Date.now() };
+    setCached(req, payload);
+    res.setHeader("Cache-Control", "public, max-age=10, stale-while-revalidate=60");
+    res.json(payload);
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// WR podium for a month, ISO week or explicit range, in a local timezone
+// GET /api/wr-podium?month=YYYY-MM | week=YYYY-Www | from=YYYY-MM-DD&to=YYYY-MM-DD
+//                   [&tz=Europe/Paris][&type=totd][&limit=3]
+app.get("/api/wr-podium", ensureCacheOnce, async (req, res) => {
+  const cached = getCached(req);
+  if (cached) {
+    res.setHeader("Cache-Control", "public, max-age=10, stale-while-revalidate=60");
+    return res.json(cached);
+  }
+
+  const tz = (req.query.tz || PODIUM_TZ).toString().trim();
+  if (!isValidTimeZone(tz)) return res.status(400).json({ error: `unknown timezone: ${tz}` });
+  let range;
+  try {
+    range = parseRange(req.query, tz);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    debouncedUidRefresh();
+    debouncedQuickRefresh();
+
+    const limit = Math.max(1, Math.min(50, Number(req.query.limit) || 3));
+    const types = parseTypeFilter(req.query.type);
+    const { ranked, sources, totalWrs } = podiumFor(wrCache.rows || [], { ...range, types });
+
+    const payload = {
+      month: range.kind === "month" ? range.label : undefined,
+      range: {
+        kind: range.kind,
+        label: range.label,
+        tz,
+        from: new Date(range.start).toISOString(),
+        to: new Date(range.end).toISOString(),
+        fromEpoch: Math.floor(range.start / 1000),
+        toEpoch: Math.floor(range.end / 1000),
+      },
+      podium: ranked.slice(0, limit),
+      players: ranked.length,
+      totalWrs,
+      sources,
+      tieBreaks: PODIUM_TIE_BREAKS,
+      generatedAt: Date.now(),
+    };
+    setCached(req, payload);
+    res.setHeader("Cache-Control", "public, max-age=10, stale-while-revalidate=60");
+    res.json(payload);
+  } catch (e) {
+    res.status(500).json({ error: e?.message || String(e) });
+  }
+});
+
+// Live WR changes (Server-Sent Events)
+// GET /api/wr-stream?type=official,totd,club   (honours Last-Event-ID on reconnect)
+app.get("/api/wr-stream", (req, res) => {
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+
+  const client = { res, types: parseTypeFilter(req.query.type) };
+  res.write(`retry: 5000\n\n`);
+
+  const lastId = Number(req.headers["last-event-id"] || req.query.lastEventId) || 0;
+  if (lastId) {
+    for (const ev of streamEvents) {
+      if (ev.id > lastId && (!client.types || client.types.has(ev.entry.sourceType))) writeStreamEvent(res, ev);
     }
+  }
+  res.flush?.();
+
+  streamClients.add(client);
+  const hb = setInterval(() => { res.write(`: ping ${Date.now()}\n\n`); res.flush?.(); }, STREAM_HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(hb);
+    streamClients.delete(client);
+  });
+});
 
-    const top = Array.from(tally.values())
-      .sort((a, b) => b.wrs - a.wrs || b.latestTs - a.latestTs)
-      .slice(0, 3);
+// Top-N leaderboard for one map (cached, coalesced)
+// GET /api/map/:mapUid/leaderboard?length=10..100
+app.get("/api/map/:mapUid/leaderboard", async (req, res) => {
+  const { mapUid } = req.params;
+  if (!/^[A-Za-z0-9_-]{10,40}$/.test(mapUid)) return res.status(400).json({ error: "invalid mapUid" });
+  const length = Math.max(10, Math.min(100, Number(req.query.length) || 10));
+
+  try {
+    const payload = await getLeaderboardCached(mapUid, length);
+    res.setHeader("Cache-Control", `public, max-age=${LEADERBOARD_TTL_SECONDS}, stale-while-revalidate=120`);
+    res.json(payload);
+  } catch (e) {
+    console.error("leaderboard:", e?.message || e);
+    res.status(502).json({ error: "Failed to load leaderboard", detail: e?.message || String(e) });
+  }
+});
+
+// WR history for one map (oldest first) — "how this WR evolved"
+// GET /api/wr-history?mapUid=...&limit=200
+app.get("/api/wr-history", (req, res) => {
+  res.setHeader("Cache-Control", "public, max-age=10");
+  const mapUid = (req.query.mapUid || "").toString().trim();
+  if (!mapUid) return res.status(400).json({ error: "missing mapUid" });
+
+  const limit = Math.max(1, Math.min(1000, Number(req.query.limit) || 200));
+  const entries = wrHistory.filter((e) => e.mapUid === mapUid);
+  const current = wrCache.rows.find((r) => r.mapUid === mapUid) || null;
+  res.json({ mapUid, current, history: entries.slice(-limit), total: entries.length });
+});
+
+// WRs a player gained or lost (newest first)
+app.get("/api/player/:accountId/history", (req, res) => {
+  res.setHeader("Cache-Control", "public, max-age=10");
+  const { accountId } = req.params;
+  const limit = Math.max(1, Math.min(1000, Number(req.query.limit) || 200));
+
+  const entries = [];
+  for (let i = wrHistory.length - 1; i >= 0; i--) {
+    const e = wrHistory[i];
+    if (e.newAccountId === accountId) entries.push({ ...e, role: e.oldAccountId === accountId ? "improved" : "gained" });
+    else if (e.oldAccountId === accountId) entries.push({ ...e, role: "lost" });
+  }
+  res.json({ accountId, history: entries.slice(0, limit), total: entries.length });
+});
+
+// Most frequent head-to-head steal pairs (both directions counted per pair)
+// GET /api/rivalries?limit=50&type=totd&days=30
+app.get("/api/rivalries", (req, res) => {
+  const cached = getCached(req);
+  if (cached) {
+    res.setHeader("Cache-Control", "public, max-age=10, stale-while-revalidate=60");
+    return res.json(cached);
+  }
+
+  const limit = Math.max(1, Math.min(500, Number(req.query.limit) || 50));
+  const types = parseTypeFilter(req.query.type);
+  const days = Number(req.query.days) || 0;
+  const since = days > 0 ? Math.floor(Date.now() / 1000) - days * 86400 : 0;
+
+  const pairs = new Map(); // "a|b" (sorted ids) -> pair
+  let considered = 0;
+  for (const st of wrSteals()) {
+    if (types && !types.has(st.sourceType)) continue;
+    if (st.at < since) continue;
+    considered++;
+    const [a, b] = [st.fromAccountId, st.toAccountId].sort();
+    const key = `${a}|${b}`;
+    let p = pairs.get(key);
+    if (!p) {
+      p = { a: { accountId: a, steals: 0 }, b: { accountId: b, steals: 0 }, total: 0, maps: new Set(), lastSteal: null };
+      pairs.set(key, p);
+    }
+    (st.toAccountId === a ? p.a : p.b).steals++;
+    p.total++;
+    p.maps.add(st.mapUid);
+    if (!p.lastSteal || st.at >= p.lastSteal.at) p.lastSteal = st;
+  }
+
+  const list = Array.from(pairs.values())
+    .sort((x, y) => y.total - x.total || y.lastSteal.at - x.lastSteal.at)
+    .slice(0, limit)
+    .map((p) => ({
+      a: { ...p.a, displayName: stealName(p.a.accountId) },
+      b: { ...p.b, displayName: stealName(p.b.accountId) },
+      total: p.total,
+      maps: p.maps.size,
+      lastSteal: p.lastSteal,
+    }));
+
+  const payload = { rivalries: list, pairs: pairs.size, steals: considered, generatedAt: Date.now() };
+  setCached(req, payload);
+  res.setHeader("Cache-Control", "public, max-age=10, stale-while-revalidate=60");
+  res.json(payload);
+});
+
+// One player's rivals: who they took WRs from and who took WRs from them
+app.get("/api/player/:accountId/rivals", (req, res) => {
+  res.setHeader("Cache-Control", "public, max-age=10");
+  const { accountId } = req.params;
+  const limit = Math.max(1, Math.min(500, Number(req.query.limit) || 50));
+
+  const rivals = new Map(); // opponent accountId -> tally
+  for (const st of wrSteals()) {
+    const took = st.toAccountId === accountId;
+    if (!took && st.fromAccountId !== accountId) continue;
+    const other = took ? st.fromAccountId : st.toAccountId;
+    const r = rivals.get(other) || { accountId: other, stolenFrom: 0, stolenBy: 0, total: 0, lastAt: 0, recent: [] };
+    if (took) r.stolenFrom++;
+    else r.stolenBy++;
+    r.total++;
+    r.lastAt = Math.max(r.lastAt, st.at);
+    r.recent.push(st);
+    rivals.set(other, r);
+  }
+
+  const list = Array.from(rivals.values())
+    .sort((x, y) => y.total - x.total || y.lastAt - x.lastAt)
+    .slice(0, limit)
+    .map((r) => ({
+      ...r,
+      displayName: stealName(r.accountId),
+      net: r.stolenFrom - r.stolenBy,
+      recent: r.recent.slice(-5).reverse(),
+    }));
+  res.json({ accountId, displayName: stealName(accountId), rivals: list, total: rivals.size });
+});
+
+// Current display name plus every name seen for the account (newest first)
+app.get("/api/player/:accountId/names", async (req, res) => {
+  const { accountId } = req.params;
+  if (!ACCOUNT_ID_RE.test(accountId)) return res.status(400).json({ error: "invalid accountId" });
+  res.setHeader("Cache-Control", "public, max-age=60");
+  try {
+    await resolveDisplayNames(null, [accountId]);
+  } catch {}
+  const name = nameCache.get(accountId);
+  const stored = sql.nameGet.get(accountId);
+  res.json({
+    accountId,
+    displayName: name && name !== accountId ? name : stored?.display_name ?? null,
+    checkedAt: stored?.updated_at ?? null,
+    recheckAt: nameExpiry.get(accountId) ?? null,
+    history: loadNameHistory(accountId),
+  });
+});
+
+// Clubs whose campaigns we track, busiest first
+// GET /api/clubs?q=<name or id>&limit=100
+app.get("/api/clubs", ensureCacheOnce, (req, res) => {
+  const cached = getCached(req);
+  if (cached) {
+    res.setHeader("Cache-Control", "public, max-age=30, stale-while-revalidate=120");
+    return res.json(cached);
+  }
+
+  const rows = new Map(wrCache.rows.map((r) => [r.mapUid, r]));
+  const q = (req.query.q || "").toString().trim().toLowerCase();
+  const limit = Math.max(1, Math.min(1000, Number(req.query.limit) || 100));
+  let clubs = Array.from(clubIndex.clubs.values()).map((c) => {
+    let wrs = 0;
+    let latestWrTs = 0;
+    for (const uid of c.mapUids) {
+      const r = rows.get(uid);
+      if (!r) continue;
+      wrs++;
+      latestWrTs = Math.max(latestWrTs, r.timestamp || 0);
+    }
+    return {
+      clubId: c.clubId,
+      clubName: c.clubName,
+      campaigns: c.campaigns.length,
+      maps: c.mapUids.size,
+      wrs,
+      latestWrTs: latestWrTs || null,
+      updatedAt: c.campaigns[0]?.updatedAt || null,
+    };
+  });
+  if (q) clubs = clubs.filter((c) => c.clubId.includes(q) || c.clubName?.toLowerCase().includes(q));
+  clubs.sort((a, b) => (b.latestWrTs || 0) - (a.latestWrTs || 0) || b.maps - a.maps);
+
+  const payload = { clubs: clubs.slice(0, limit), total: clubs.length, fetchedAt: wrCache.ts };
+  setCached(req, payload);
+  res.setHeader("Cache-Control", "public, max-age=30, stale-while-revalidate=120");
+  res.json(payload);
+});
+
+// Current WRs on one club's campaigns, grouped by campaign (playlist order)
+// GET /api/clubs/:clubId/wrs?campaignId=
+app.get("/api/clubs/:clubId/wrs", ensureCacheOnce, (req, res) => {
+  const club = clubIndex.clubs.get(req.params.clubId);
+  if (!club) return res.status(404).json({ error: "club not tracked" });
+  const cached = getCached(req);
+  if (cached) {
+    res.setHeader("Cache-Control", "public, max-age=10, stale-while-revalidate=60");
+    return res.json(cached);
+  }
+
+  const rows = new Map(wrCache.rows.map((r) => [r.mapUid, r]));
+  const only = (req.query.campaignId || "").toString().trim();
+  const campaigns = club.campaigns
+    .filter((c) => !only || c.campaignId === only)
+    .map((c) => ({
+      campaignId: c.campaignId,
+      campaignName: c.campaignName || null,
+      updatedAt: c.updatedAt || null,
+      maps: c.playlist.length,
+      wrs: c.playlist.map((uid, position) => {
+        const r = rows.get(uid);
+        return r ? { position, ...r } : { position, mapUid: uid, mapName: mapMeta.get(uid)?.name ?? null, empty: true };
+      }),
+    }));
+
+  const payload = { clubId: club.clubId, clubName: club.clubName, campaigns, fetchedAt: wrCache.ts };
+  setCached(req, payload);
+  res.setHeader("Cache-Control", "public, max-age=10, stale-while-revalidate=60");
+  res.json(payload);
+});
+
+// Player profile: held WRs by source, wr-players rank, first/latest WR, WRs per month (Detroit time)
+app.get("/api/player/:accountId", ensureCacheOnce, async (req, res) => {
+  const { accountId } = req.params;
+  if (!ACCOUNT_ID_RE.test(accountId)) return res.status(400).json({ error: "invalid accountId" });
+  const cached = getCached(req);
+  if (cached) {
+    res.setHeader("Cache-Control", "public, max-age=10, stale-while-revalidate=60");
+    return res.json(cached);
+  }
+
+  try {
+    debouncedQuickRefresh();
+    await resolveDisplayNames(null, [accountId]).catch(() => {});
+
+    const rows = wrCache.rows || [];
+    const holders = tallyWrHolders(rows);
+    const rankIdx = holders.findIndex((p) => p.accountId === accountId);
+    const held = rows
+      .filter((r) => r.accountId === accountId && isValidTimeMs(Number(r.timeMs)))
+      .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+
+    const wrs = { official: [], totd: [], club: [] };
+    const perMonth = new Map(); // YYYY-MM -> count
+    for (const r of held) {
+      (wrs[r.sourceType] ||= []).push(r);
+      if (r.timestamp) {
+        const ym = detroitDate(r.timestamp * 1000).slice(0, 7);
+        perMonth.set(ym, (perMonth.get(ym) || 0) + 1);
+      }
+    }
+    const stamps = held.map((r) => r.timestamp).filter(Boolean);
 
-    const payload = { ym, top, generatedAt: Date.now() };
+    const payload = {
+      accountId,
+      displayName: nameCache.get(accountId) || held[0]?.displayName || accountId,
+      rank: rankIdx >= 0 ? rankIdx + 1 : null,
+      rankedPlayers: holders.length,
+      wrCount: held.length,
+      counts: Object.fromEntries(Object.entries(wrs).map(([k, list]) => [k, list.length])),
+      firstWrTimestamp: stamps.length ? Math.min(...stamps) : null,
+      latestWrTimestamp: stamps.length ? Math.max(...stamps) : null,
+      monthly: Array.from(perMonth, ([month, count]) => ({ month, count })).sort((a, b) => a.month.localeCompare(b.month)),
+      wrs,
+      fetchedAt: wrCache.ts,
+    };
     setCached(req, payload);
     res.setHeader("Cache-Control", "public, max-age=10, stale-while-revalidate=60");
     res.json(payload);
@@ -985,9 +3056,132 @@ app.get("/api/top-monthly", ensureCacheOnce, async (req, res) => {
   }
 });
 
+/* ------------------------- Bulk export ------------------------- */
+// Streamed in chunks with backpressure, so a full cache never becomes one big
+// string or a second array of export objects: rows are shaped chunk by chunk.
+const EXPORT_FORMATS = new Set(["csv", "ndjson", "json"]);
+const EXPORT_CHUNK = 500;
+
+// Quotes when needed; text starting with = + - @ gets a leading ' so spreadsheets don't run it
+function csvCell(v) {
+  if (v == null) return "";
+  let s = String(v);
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+async function streamExport(req, res, { name, format, columns, rows, toItem, meta }) {
+  const type = { csv: "text/csv; charset=utf-8", ndjson: "application/x-ndjson", json: "application/json; charset=utf-8" }[format];
+  res.setHeader("Content-Type", type);
+  res.setHeader("Content-Disposition", `attachment; filename="${name}-${detroitDate(Date.now())}.${format}"`);
+  res.setHeader("Cache-Control", "no-store");
+
+  let closed = false;
+  req.on("close", () => { closed = true; });
+  const write = (chunk) =>
+    res.write(chunk) ? Promise.resolve() : new Promise((r) => res.once("drain", r));
+
+  if (format === "csv") await write(columns.map(csvCell).join(",") + "\r\n");
+  if (format === "json") await write(`${JSON.stringify(meta).slice(0, -1)},"rows":[`);
+
+  for (let i = 0; i < rows.length && !closed; i += EXPORT_CHUNK) {
+    const part = rows.slice(i, i + EXPORT_CHUNK).map((row, j) => {
+      const it = toItem(row, i + j);
+      if (format === "csv") return columns.map((c) => csvCell(it[c])).join(",") + "\r\n";
+      if (format === "ndjson") return JSON.stringify(it) + "\n";
+      return (i + j ? "," : "") + JSON.stringify(it);
+    });
+    await write(part.join(""));
+    res.flush?.();
+  }
+
+  if (format === "json") res.write("]}");
+  res.end();
+}
+
+function exportFormat(req, res) {
+  const format = (req.query.format || "csv").toString().toLowerCase();
+  if (EXPORT_FORMATS.has(format)) return format;
+  res.status(400).json({ error: "format must be csv, ndjson or json" });
+  return null;
+}
+
+const WR_EXPORT_COLUMNS = [
+  "mapUid", "mapName", "sourceType", "accountId", "displayName", "timeMs", "timestamp", "date",
+  "authorAccountId", "authorName", "authorTime", "clubId", "clubName", "campaignId", "campaignName",
+];
+
+// GET /api/export/wrs?format=csv|ndjson|json&type=&search=&accountId=&club=&from=&to=
+app.get("/api/export/wrs", ensureCacheOnce, async (req, res) => {
+  const format = exportFormat(req, res);
+  if (!format) return;
+  const from = parseEpochParam(req.query.from);
+  const to = parseEpochParam(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) return res.status(400).json({ error: "invalid from/to" });
+
+  try {
+    const rows = filterWrRows(wrCache.rows, req.query, { from, to });
+    const toItem = (r) => ({
+      mapUid: r.mapUid,
+      mapName: r.mapName ?? null,
+      sourceType: r.sourceType,
+      accountId: r.accountId,
+      displayName: nameCache.get(r.accountId) || r.displayName || r.accountId,
+      timeMs: r.timeMs,
+      timestamp: r.timestamp ?? null,
+      date: r.timestamp ? new Date(r.timestamp * 1000).toISOString() : null,
+      authorAccountId: r.authorAccountId ?? null,
+      authorName: r.authorName ?? null,
+      authorTime: r.authorTime ?? null,
+      clubId: r.clubId ?? null,
+      clubName: r.clubName ?? null,
+      campaignId: r.campaignId ?? null,
+      campaignName: r.campaignName ?? null,
+    });
+    await streamExport(req, res, {
+      name: "wrs", format, columns: WR_EXPORT_COLUMNS, rows, toItem,
+      meta: { exportedAt: new Date().toISOString(), fetchedAt: wrCache.ts, count: rows.length },
+    });
+  } catch (e) {
+    if (!res.headersSent) return res.status(500).json({ error: e?.message || String(e) });
+    res.destroy(e);
+  }
+});
+
+const PLAYER_EXPORT_COLUMNS = ["rank", "accountId", "displayName", "wrCount", "official", "totd", "club", "latestTimestamp"];
+
+// GET /api/export/players?format=csv|ndjson|json&type=&q=   (same ordering and q filter as /api/wr-players;
+// rank stays the overall rank when q narrows the list)
+app.get("/api/export/players", ensureCacheOnce, async (req, res) => {
+  const format = exportFormat(req, res);
+  if (!format) return;
+
+  try {
+    const q = (req.query.q || "").toString().trim().toLowerCase();
+    let rows = tallyWrHolders(filterWrRows(wrCache.rows, { type: req.query.type })).map((p, i) => ({ ...p, rank: i + 1 }));
+    if (q) rows = rows.filter((p) => p.displayName?.toLowerCase().includes(q) || p.accountId?.toLowerCase().includes(q));
+    const toItem = (p) => ({
+      rank: p.rank,
+      accountId: p.accountId,
+      displayName: nameCache.get(p.accountId) || p.displayName,
+      wrCount: p.wrCount,
+      official: p.bySource.official || 0,
+      totd: p.bySource.totd || 0,
+      club: p.bySource.club || 0,
+      latestTimestamp: p.latestTs || null,
+    });
+    await streamExport(req, res, {
+      name: "players", format, columns: PLAYER_EXPORT_COLUMNS, rows, toItem,
+      meta: { exportedAt: new Date().toISOString(), fetchedAt: wrCache.ts, count: rows.length },
+    });
+  } catch (e) {
+    if (!res.headersSent) return res.status(500).json({ error: e?.message || String(e) });
+    res.destroy(e);
+  }
+});
+
 /* ---------------- Debug & control ---------------- */
-app.get("/api/debug-names", async (req, res) => {
-  res.setHeader("Cache-Control", "public, max-age=120");
+app.get("/api/debug-names", requireScope("read-debug"), async (req, res) => {
   try {
     const ids = String(req.query.ids || "").split(",").map((s) => s.trim()).filter(Boolean);
     await resolveDisplayNames(null, ids);
@@ -998,10 +3192,9 @@ app.get("/api/debug-names", async (req, res) => {
   }
 });
 
-app.get("/api/debug-stats", async (_req, res) => {
-  res.setHeader("Cache-Control", "public, max-age=10");
+app.get("/api/debug-stats", requireScope("read-debug"), async (_req, res) => {
   try {
-    if (!wrCache.rows.length) await buildAllWRs({ includeClub: includeClubByDefault() });
+    if (!wrCache.rows.length) await startFullBuild().promise;
     const rows = wrCache.rows || [];
     const counts = { official: 0, totd: 0, club: 0 };
     for (const r of rows) counts[r.sourceType] = (counts[r.sourceType] || 0) + 1;
@@ -1012,15 +3205,48 @@ app.get("/api/debug-stats", async (_req, res) => {
       nameCacheSize: nameCache.size,
       resolvedNamesCount: Array.from(nameCache.values()).filter((v) => v && typeof v === "string" && v !== "").length,
       allMapsTracked: metaCache.allMapUids.length,
+      streamClients: streamClients.size,
+      upstream: limiterStats(),
+      rolling: rollingStats(),
     });
   } catch (e) {
     res.status(500).json({ error: e?.message || String(e) });
   }
 });
 
+// Prometheus scrape target; takes a read-debug key like the other debug routes but skips the audit log
+metricCollectors.push(() => {
+  const bySource = {};
+  for (const r of wrCache.rows) bySource[r.sourceType || "unknown"] = (bySource[r.sourceType || "unknown"] || 0) + 1;
+  let rawNames = 0;
+  for (const [id, name] of nameCache) if (name === id) rawNames++;
+  const running = {};
+  for (const j of jobs.values()) if (j.status === "running") running[j.name] = (running[j.name] || 0) + 1;
+  return [
+    { name: "tm_wr_rows", type: "gauge", help: "Cached WR rows by source type",
+      samples: Object.entries(bySource).map(([sourceType, value]) => ({ labels: { sourceType }, value })) },
+    { name: "tm_wr_cache_age_seconds", type: "gauge", help: "Seconds since the WR cache last changed",
+      samples: [{ value: wrCache.ts ? (Date.now() - wrCache.ts) / 1000 : 0 }] },
+    { name: "tm_name_cache_entries", type: "gauge", help: "Display-name cache size", samples: [{ value: nameCache.size }] },
+    { name: "tm_name_cache_unresolved", type: "gauge", help: "Name cache entries holding the raw account id", samples: [{ value: rawNames }] },
+    { name: "tm_resp_cache_entries", type: "gauge", help: "Small response cache size", samples: [{ value: respCache.size }] },
+    { name: "tm_jobs_running", type: "gauge", help: "Running build/refresh jobs by name",
+      samples: Object.entries(running).map(([job, value]) => ({ labels: { job }, value })) },
+    { name: "tm_rolling_maps_due", type: "gauge", help: "Maps due for a rolling re-check", samples: [{ value: rolling.dueNow }] },
+    { name: "tm_stream_clients", type: "gauge", help: "Connected /api/wr-stream clients", samples: [{ value: streamClients.size }] },
+    { name: "tm_webhook_dead_letters", type: "gauge", help: "Webhook deliveries parked in the DLQ", samples: [{ value: webhookDlq.length }] },
+    { name: "process_uptime_seconds", type: "gauge", help: "Process uptime", samples: [{ value: process.uptime() }] },
+    { name: "process_resident_memory_bytes", type: "gauge", help: "Resident set size", samples: [{ value: process.memoryUsage().rss }] },
+  ];
+});
+
+app.get("/metrics", requireScope("read-debug", { audit: false }), (_req, res) => {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
 // Force a full diff-based rebuild (non-blocking for reads)
-app.post("/api/rebuild-now", async (req, res) => {
-  res.setHeader("Cache-Control", "no-store");
+// ?wait=false returns 202 with the job id instead of waiting for the result
+app.post("/api/rebuild-now", requireScope("rebuild"), async (req, res) => {
   try {
     const includeClubParam = (req.query.includeClub ?? "").toString().toLowerCase();
     const includeClub =
@@ -1028,23 +3254,27 @@ app.post("/api/rebuild-now", async (req, res) => {
       includeClubParam === "false" ? false :
       includeClubByDefault();
 
-    const result = await rebuildNow({ includeClub });
+    const job = activeJob("rebuild") || runJob("rebuild", (j) => rebuildNow({ includeClub, job: j }), { includeClub });
     // clear small response cache so next requests see fresh counts
-    respCache.clear();
-    res.json({ ok: true, fetchedAt: wrCache.ts, ...result });
+    job.promise.then(() => respCache.clear(), () => {});
+    if ((req.query.wait ?? "").toString().toLowerCase() === "false") {
+      return res.status(202).json({ ok: true, jobId: job.id });
+    }
+
+    const result = await job.promise;
+    res.json({ ok: true, jobId: job.id, fetchedAt: wrCache.ts, ...result });
   } catch (e) {
     res.status(500).json({ error: e?.message || String(e) });
   }
 });
 
 // Quick club check
-app.get("/api/debug-clubs", async (_req, res) => {
-  res.setHeader("Cache-Control", "no-store");
+app.get("/api/debug-clubs", requireScope("read-debug"), async (_req, res) => {
   try {
     const access = await getLiveAccessToken();
     const refs = await listAllClubCampaignRefsWithPlaylists(access);
     const uids = await getAllClubMapUids(access);
-    const disk = loadJson(DISK_CLUB);
+    const disk = loadClubUidsFromDb();
     res.json({
       campaignsListed: refs.length,
       mapUidsFound: uids.length,
@@ -1053,6 +3283,7 @@ app.get("/api/debug-clubs", async (_req, res) => {
         ageMs: disk?.ts ? Date.now() - disk.ts : null,
       },
       sampleUid: uids[0] || null,
+      indexed: { clubs: clubIndex.clubs.size, campaigns: clubIndex.campaigns.size, maps: clubIndex.byMap.size },
     });
   } catch (e) {
     res.status(500).json({ error: e?.message || String(e) });
@@ -1064,4 +3295,4 @@ process.on("unhandledRejection", (err) => console.error("UNHANDLED_REJECTION:",
 process.on("uncaughtException", (err) => console.error("UNCAUGHT_EXCEPTION:", err));
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, "0.0.0.0", () => console.log(`✅ API running on port ${PORT}`));
+app.listen(PORT, "0.0.0.0", () => console.log(`✅ API running on port ${PORT} (upstream: ${UPSTREAM_MODE})`));
@@ -1,9 +1,30 @@
-// scripts/totd-fetcher.js — TOTD + TMX medal times & difficulty (keeps manual downloadUrl)
+// scripts/totd-fetcher.js — TOTD + medal times & difficulty (TMX → tm.io → Nadeo; keeps manual downloadUrl)
 // Node 18+ (global fetch).
+//
+// Usage:
+//   node scripts/totd-fetcher.js                      current month (what the action runs)
+//   node scripts/totd-fetcher.js --month 2021-03      one explicit month
+//   node scripts/totd-fetcher.js --from 3 --to 12     tm.io month indexes (0 = current month)
+//   node scripts/totd-fetcher.js --all                everything back to July 2020
+// Backfills skip months already recorded in data/totd/_backfill.json (use --force to redo them);
+// --dry-run fetches the tm.io lists and reports what would be written without touching disk.
+// Every run also re-hydrates the previous GAP_RETRY_MONTHS months (default 2) while they still
+// have days without medal times, difficulty or a download link, checkpointed or not.
+//
+// Hand corrections live in data/totd/_overrides.json and are applied after medal hydration:
+//   { "byUid":  { "<mapUid>":     { "downloadUrl": "https://...", "authorDisplayName": "..." } },
+//     "byDate": { "2025-10-03":   { "name": "...", "goldTime": 41234 } } }
+// A byDate entry wins over a byUid entry for the same field. Each day records what was replaced
+// in `overridden` ({ field: "date" | "uid" }). A corrected authorDisplayName is also what the
+// author account id lookup searches for.
+//
+// Author names that tm.io's player search could not match are kept in data/totd/_authors.json
+// and not searched again until their retryAfter (AUTHOR_RETRY_DAYS, default 7).
 
-import { mkdir, writeFile, readFile, access, readdir } from "node:fs/promises";
+import { mkdir, writeFile, readFile, access, readdir, unlink } from "node:fs/promises";
 import { constants as FS } from "node:fs";
 import path from "node:path";
+import { pathToFileURL } from "node:url";
 
 /* ----------------------------- config/constants ---------------------------- */
 const PUBLIC_DIR  = process.env.PUBLIC_DIR || ".";
@@ -12,7 +33,17 @@ const TOTD_LATEST = `${PUBLIC_DIR.replace(/\/+$/,"")}/totd.json`;
 const TMIO        = "https://trackmania.io";
 const TMX_API     = "https://trackmania.exchange/api"; // base for TMX API
 const TMX_DL_BASE = "https://trackmania.exchange/maps/download";
+const CORE_BASE   = process.env.NADEO_CORE_BASE || "https://prod.trackmania.core.nadeo.online";
+const CORE_REFRESH= String(process.env.NADEO_CORE_REFRESH_TOKEN || "").trim().replace(/^nadeo_v1 t=/i,"");
 const USER_AGENT  = process.env.USER_AGENT || "tm-totd/1.1 (github action)";
+const CHECKPOINT  = `${TOTD_DIR}/_backfill.json`; // "_" prefix keeps it out of months.json
+const OVERRIDES   = `${TOTD_DIR}/_overrides.json`;
+const SEARCH_INDEX= `${TOTD_DIR}/index.json`;      // every TOTD, for totd.html's cross-month search
+const AUTHOR_MISSES=`${TOTD_DIR}/_authors.json`;    // author names the player search could not match
+const AUTHOR_RETRY_DAYS=Number(process.env.AUTHOR_RETRY_DAYS || 7);
+const GAP_RETRY_MONTHS=Number(process.env.GAP_RETRY_MONTHS ?? 2); // earlier months whose gaps every run retries
+const AUTHORS_DIR = `${PUBLIC_DIR.replace(/\/+$/,"")}/data/authors`;
+const FIRST_TOTD  = { y:2020, m1:7 };               // first month with a Track of the Day
 
 const DEBUG = process.env.DEBUG === "1";
 const dlog  = (...a)=>{ if (DEBUG) console.log("[TOTD]", ...a); };
@@ -22,6 +53,17 @@ const ensureDir = (p)=>mkdir(p,{recursive:true});
 const exists = async(p)=>{ try{ await access(p,FS.F_OK); return true; } catch { return false; } };
 const loadJson = async(p,f)=>(await exists(p))?JSON.parse(await readFile(p,"utf8")):f;
 const writeJson=(p,obj)=>writeFile(p,JSON.stringify(obj,null,2),"utf8");
+// Stamps generatedAt only when the payload changed, so runs that found nothing new leave the file
+// (and update-totd.yml's content hash) alone. Returns whether it wrote.
+async function writeGenerated(p,payload,{ compact=false }={}){
+  try {
+    const { generatedAt:_, ...prev }=await loadJson(p,{});
+    if (JSON.stringify(prev)===JSON.stringify(payload)) return false;
+  } catch { /* unreadable: rewrite it */ }
+  const out={ generatedAt:new Date().toISOString(), ...payload };
+  await writeFile(p,compact ? JSON.stringify(out) : JSON.stringify(out,null,2),"utf8");
+  return true;
+}
 
 /* --------------------------------- utils ----------------------------------- */
 const pad2=(n)=>String(n).padStart(2,"0");
@@ -34,6 +76,10 @@ function stripTmFormatting(input){
   s=s.replace(/\$[0-9a-fA-F]{1,3}|\$[a-zA-Z]|\$[<>\[\]\(\)]/g,"");
   return s.replace(new RegExp(D,"g"),"$");
 }
+// tm.io indexes months backwards from the current one (0 = this month)
+function monthIndexOf(y,m1,now=new Date()){ return (now.getUTCFullYear()*12+now.getUTCMonth())-(y*12+m1-1); }
+const ACCOUNT_ID_RE=/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const asAccountId=(v)=>(typeof v==="string" && ACCOUNT_ID_RE.test(v.trim()) ? v.trim().toLowerCase() : null);
 function tmioDayNumber(dayObj,idx){ return dayObj?.day??dayObj?.dayIndex??dayObj?.monthDay??dayObj?.dayInMonth??(idx+1); }
 
 async function sleep(ms){ return new Promise(r=>setTimeout(r,ms)); }
@@ -106,54 +152,220 @@ function tmxDownloadUrl(trackId, shortName){
   return shortName ? `${base}?shortName=${encodeURIComponent(shortName)}` : base;
 }
 
-/* --------------------------- download & medals ----------------------------- */
+/* --------------------------- download & medals -----------------------------
+   Medal times + difficulty come from an ordered chain of sources; each field takes the
+   first non-null value and remembers where it came from in map.sources:
+     tmx   -> TMX get_map_info (times + Difficulty; usually only AuthorTime)
+     tmio  -> trackmania.io map detail (author/gold/silver/bronze scores)
+     nadeo -> Nadeo core map info (needs NADEO_CORE_REFRESH_TOKEN; skipped without it)
+   The chain stops as soon as nothing is missing, so later sources are only hit for gaps,
+   and a source is skipped when none of the missing fields are on its list (only TMX
+   knows difficulty, so a day without one does not cost a tm.io + Nadeo call every run).
+-----------------------------------------------------------------------------*/
+const MEDAL_FIELDS = ["authorTime","goldTime","silverTime","bronzeTime","difficulty"];
+const toTime = v => (Number(v)>0 ? Number(v) : null); // 0/-1 mean "not set" upstream
+
 function pickMedalFields(tmx){
   // TMX returns ms times; Difficulty is an integer-ish category (0–5+).
-  const toInt = v => (v==null ? null : Number(v));
   const diff  = v => (v==null ? null : Number(v));
   return {
-    authorTime : toInt(tmx?.AuthorTime),
-    goldTime   : toInt(tmx?.GoldTime),
-    silverTime : toInt(tmx?.SilverTime),
-    bronzeTime : toInt(tmx?.BronzeTime),
+    authorTime : toTime(tmx?.AuthorTime),
+    goldTime   : toTime(tmx?.GoldTime),
+    silverTime : toTime(tmx?.SilverTime),
+    bronzeTime : toTime(tmx?.BronzeTime),
     difficulty : diff(tmx?.Difficulty)
   };
 }
+function pickScoreFields(m){
+  return {
+    authorTime : toTime(m?.authorScore ?? m?.authorTime),
+    goldTime   : toTime(m?.goldScore   ?? m?.goldTime),
+    silverTime : toTime(m?.silverScore ?? m?.silverTime),
+    bronzeTime : toTime(m?.bronzeScore ?? m?.bronzeTime)
+  };
+}
 
-async function fetchMapDetails(mapUid){
-  if (!mapUid) return { downloadUrl:null, medals:null };
+async function fromTmx(mapUid){
+  const tmx = await fetchTmxInfoByUid(mapUid);
+  if (!tmx || !tmx.TrackID) return null;
+  let shortName = tmx.ShortName || tmx.shortName || null;
 
-  // 1) Try TMX (prefer — gives us medals + difficulty + often a valid download)
-  try {
-    const tmx = await fetchTmxInfoByUid(mapUid);
-    if (tmx && tmx.TrackID) {
-      let shortName = tmx.ShortName || tmx.shortName || null;
+  if ((tmx.Unlisted === true || tmx.Unlisted === 1) && !shortName) {
+    const tmxById = await fetchTmxInfoById(tmx.TrackID);
+    shortName = tmxById?.ShortName || tmxById?.shortName || null;
+  }
 
-      if ((tmx.Unlisted === true || tmx.Unlisted === 1) && !shortName) {
-        const tmxById = await fetchTmxInfoById(tmx.TrackID);
-        shortName = tmxById?.ShortName || tmxById?.shortName || null;
-      }
+  const downloadable = (tmx.Downloadable ?? true);
+  return { downloadUrl: downloadable ? tmxDownloadUrl(tmx.TrackID, shortName) : null, ...pickMedalFields(tmx) };
+}
 
-      const downloadable = (tmx.Downloadable ?? true);
-      const downloadUrl = downloadable ? tmxDownloadUrl(tmx.TrackID, shortName) : null;
-      const medals = pickMedalFields(tmx);
+async function fromTmio(mapUid){
+  const r = await fetchRetry(`${TMIO}/api/map/${encodeURIComponent(mapUid)}`);
+  if (!r.ok) { dlog("tm.io map detail failed", mapUid, r.status); return null; }
+  const j = await r.json();
+  return { downloadUrl: j?.fileUrl || j?.file || j?.download || null, ...pickScoreFields(j) };
+}
+
+let coreAccess = { token:null, expAt:0 };
+async function coreAccessToken(){
+  if (coreAccess.token && Date.now() < coreAccess.expAt-30_000) return coreAccess.token;
+  const r = await fetchRetry(`${CORE_BASE}/v2/authentication/token/refresh`,{
+    method:"POST",
+    headers:{ Authorization:`nadeo_v1 t=${CORE_REFRESH}`, "Content-Type":"application/json" },
+    body:"{}"
+  });
+  if (!r.ok) throw new Error(`core token refresh failed: ${r.status}`);
+  const j = await r.json();
+  coreAccess = { token:j.accessToken, expAt:Date.now()+(j.expiresIn||3600)*1000 };
+  return coreAccess.token;
+}
+async function fromNadeo(mapUid){
+  if (!CORE_REFRESH) return null;
+  const r = await fetchRetry(`${CORE_BASE}/maps/?mapUidList=${encodeURIComponent(mapUid)}`,{
+    headers:{ Authorization:`nadeo_v1 t=${await coreAccessToken()}` }
+  });
+  if (!r.ok) { dlog("nadeo map info failed", mapUid, r.status); return null; }
+  const j = await r.json();
+  const m = (Array.isArray(j) ? j : j?.mapList || []).find(x => x?.mapUid === mapUid || x?.uid === mapUid);
+  return m ? { downloadUrl: m.fileUrl || null, ...pickScoreFields(m) } : null;
+}
+
+/* ------------------------------ author lookup ------------------------------
+   Fallback when tm.io's TOTD list carries no account id: search players by display
+   name and accept only a single exact (case-insensitive) match. Results are cached
+   per run; names without a match are also remembered across runs in _authors.json
+   until their retryAfter, so scheduled runs do not repeat the same searches.
+-----------------------------------------------------------------------------*/
+const authorIdByName = new Map();
+let authorMisses = null; // lowercased name -> { name, checkedAt, retryAfter }
+let authorMissesDirty = false;
 
-      return { downloadUrl, medals };
+async function loadAuthorMisses(){
+  if (!authorMisses) authorMisses = new Map(Object.entries((await loadJson(AUTHOR_MISSES,{}))?.misses || {}));
+  return authorMisses;
+}
+async function saveAuthorMisses(){
+  if (!authorMissesDirty) return;
+  const misses = Object.fromEntries([...authorMisses].sort(([a],[b])=>a.localeCompare(b)));
+  await writeJson(AUTHOR_MISSES,{ misses });
+  authorMissesDirty = false;
+}
+
+async function resolveAuthorAccountId(displayName, now=Date.now()){
+  const key = String(displayName||"").trim().toLowerCase();
+  if (!key || key==="(unknown)") return null;
+  if (authorIdByName.has(key)) return authorIdByName.get(key);
+  const misses = await loadAuthorMisses();
+  if (Date.parse(misses.get(key)?.retryAfter) > now){
+    dlog("author lookup", displayName, "skipped until", misses.get(key).retryAfter);
+    authorIdByName.set(key, null);
+    return null;
+  }
+  let id = null, answered = false;
+  try {
+    const r = await fetchRetry(`${TMIO}/api/players/find?search=${encodeURIComponent(displayName)}`);
+    if (r.ok){
+      answered = true;
+      const j = await r.json();
+      const exact = (Array.isArray(j) ? j : j?.players || [])
+        .map(e => e?.player ?? e)
+        .filter(p => String(p?.name||"").toLowerCase() === key && asAccountId(p?.id ?? p?.accountId));
+      if (exact.length === 1) id = asAccountId(exact[0].id ?? exact[0].accountId);
+      else dlog("author lookup", displayName, exact.length ? "ambiguous" : "no exact match");
     }
   } catch (e) {
-    dlog("TMX resolver err", mapUid, e?.message || e);
+    dlog("author lookup err", displayName, e?.message || e);
+  }
+  authorIdByName.set(key, id);
+  // only a search that answered counts as a miss; a network error is retried next run
+  if (id && misses.delete(key)) authorMissesDirty = true;
+  if (!id && answered){
+    misses.set(key, { name:displayName, checkedAt:new Date(now).toISOString(), retryAfter:new Date(now+AUTHOR_RETRY_DAYS*86400_000).toISOString() });
+    authorMissesDirty = true;
   }
+  await sleep(120);
+  return id;
+}
 
-  // 2) Fallback to trackmania.io for a file URL (no medals here)
-  try {
-    const r = await fetchRetry(`${TMIO}/api/map/${encodeURIComponent(mapUid)}`);
-    if (!r.ok) { dlog("tm.io map detail failed", mapUid, r.status); return { downloadUrl:null, medals:null }; }
-    const j = await r.json();
-    return { downloadUrl: j?.file || j?.download || null, medals:null };
-  } catch (e) {
-    dlog("tm.io resolver err", mapUid, e?.message || e);
-    return { downloadUrl:null, medals:null };
+// [name, fetch, fields it can supply], in chain order
+const TIME_FIELDS = ["authorTime","goldTime","silverTime","bronzeTime","downloadUrl"];
+const MEDAL_SOURCES = [
+  ["tmx",  fromTmx,   [...TIME_FIELDS,"difficulty"]],
+  ["tmio", fromTmio,  TIME_FIELDS],
+  ["nadeo",fromNadeo, TIME_FIELDS]
+];
+export const pendingFields = (map)=>new Set([...MEDAL_FIELDS,"downloadUrl"].filter(f=>map?.[f]==null));
+
+// Fills only `missing` fields (a Set, may include "downloadUrl"); returns { values, sources }.
+export async function resolveMapDetails(mapUid, missing){
+  const values = {}, sources = {};
+  for (const [name, fetchSource, supplies] of MEDAL_SOURCES){
+    if (!missing.size) break;
+    if (!supplies.some(f=>missing.has(f))) continue;
+    let got = null;
+    try { got = await fetchSource(mapUid); }
+    catch (e) { dlog(`${name} resolver err`, mapUid, e?.message || e); }
+    if (!got) continue;
+    for (const field of [...missing]){
+      if (got[field] == null) continue;
+      values[field] = got[field];
+      if (field !== "downloadUrl") sources[field] = name;
+      missing.delete(field);
+    }
+    await sleep(120); // be nice to public APIs
+  }
+  return { values, sources };
+}
+
+/* -------------------------------- overrides -------------------------------- */
+const OVERRIDE_FIELDS = {
+  uid:"string", name:"string", authorAccountId:"string", authorDisplayName:"string",
+  thumbnailUrl:"string", downloadUrl:"string",
+  authorTime:"time", goldTime:"time", silverTime:"time", bronzeTime:"time", difficulty:"number"
+};
+
+function checkOverrideEntry(where,entry,errors,{ allowUid }){
+  if (!entry || typeof entry!=="object" || Array.isArray(entry)){ errors.push(`${where}: must be an object`); return; }
+  for (const [field,value] of Object.entries(entry)){
+    const kind=OVERRIDE_FIELDS[field];
+    if (!kind){ errors.push(`${where}.${field}: unknown field`); continue; }
+    if (field==="uid" && !allowUid){ errors.push(`${where}.uid: only byDate entries may replace the uid`); continue; }
+    if (value===null) continue;
+    if (kind==="string" && (typeof value!=="string" || !value.trim())) errors.push(`${where}.${field}: must be a non-empty string or null`);
+    if (kind==="time" && !(Number.isInteger(value) && value>=0)) errors.push(`${where}.${field}: must be a non-negative integer (ms) or null`);
+    if (kind==="number" && !(Number.isFinite(value) && value>=0)) errors.push(`${where}.${field}: must be a non-negative number or null`);
+    if (field==="downloadUrl" && typeof value==="string" && !/^https?:\/\//.test(value)) errors.push(`${where}.downloadUrl: must be an http(s) URL`);
+    if (field==="authorAccountId" && typeof value==="string" && !asAccountId(value)) errors.push(`${where}.authorAccountId: must be a Nadeo account id (uuid)`);
+  }
+}
+
+// Returns { byUid, byDate }; throws listing every problem, so a bad hand edit fails the run instead of publishing.
+export function checkOverrides(raw,file=OVERRIDES){
+  const errors=[];
+  if (!raw || typeof raw!=="object" || Array.isArray(raw)) errors.push("top level must be an object");
+  const { byUid={}, byDate={}, ...rest }=raw||{};
+  for (const k of Object.keys(rest)) if (!k.startsWith("_")) errors.push(`${k}: unknown key (expected byUid / byDate)`);
+  for (const [uid,entry] of Object.entries(byUid)) checkOverrideEntry(`byUid.${uid}`,entry,errors,{ allowUid:false });
+  for (const [date,entry] of Object.entries(byDate)){
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(`${date}T00:00:00Z`))) errors.push(`byDate.${date}: key must be a YYYY-MM-DD date`);
+    checkOverrideEntry(`byDate.${date}`,entry,errors,{ allowUid:true });
   }
+  if (errors.length) throw new Error(`invalid ${file}:\n  - ${errors.join("\n  - ")}`);
+  return { byUid, byDate };
+}
+async function loadOverrides(){ return checkOverrides(await loadJson(OVERRIDES,{})); }
+
+export function applyOverrides(rec,overrides){
+  const overridden={};
+  const layers=[["uid",overrides?.byUid?.[rec.map.uid]],["date",overrides?.byDate?.[rec.date]]]; // later layer wins
+  for (const [source,entry] of layers){
+    for (const [field,value] of Object.entries(entry||{})){
+      rec.map[field]=value; overridden[field]=source;
+      if (MEDAL_FIELDS.includes(field)){ if (value==null) delete rec.map.sources[field]; else rec.map.sources[field]="override"; }
+    }
+  }
+  if (Object.keys(overridden).length) rec.overridden=overridden;
+  return rec;
 }
 
 /* ------------------------------ month writing ------------------------------ */
@@ -161,19 +373,73 @@ async function rebuildMonthIndex(dir){
   await ensureDir(dir);
   const items=await readdir(dir,{withFileTypes:true});
   const months=items
-    .filter(e=>e.isFile()&&e.name.endsWith(".json")&&e.name!=="months.json"&&!e.name.startsWith("_"))
+    .filter(e=>e.isFile()&&/^\d{4}-\d{2}\.json$/.test(e.name)) // skips months.json, index.json and _-files
     .map(e=>e.name.replace(/\.json$/,""))
     .sort().reverse();
   await writeJson(path.join(dir,"months.json"),{ months });
 }
 
-function baseDayRecord(y,m1,entry,idx){
+// Compact (unindented) list of every day across all month files, newest first.
+export async function rebuildSearchIndex(dir){
+  const { months }=await loadJson(path.join(dir,"months.json"),{ months:[] });
+  const totds=[];
+  for (const mKey of months){
+    const { days={} }=await loadJson(path.join(dir,`${mKey}.json`),{});
+    for (const rec of Object.values(days)){
+      const m=rec.map||{};
+      totds.push({
+        date:rec.date, uid:m.uid??null, name:m.name??null,
+        author:m.authorDisplayName??null, authorAccountId:m.authorAccountId??null,
+        difficulty:m.difficulty??null, authorTime:m.authorTime??null
+      });
+    }
+  }
+  totds.sort((a,b)=>b.date.localeCompare(a.date));
+  await writeGenerated(SEARCH_INDEX,{ count:totds.length, totds },{ compact:true });
+  return totds;
+}
+
+// data/authors/<accountId>.json per author + leaderboard.json, derived from the search index rows.
+export async function rebuildAuthorPages(totds){
+  const byAuthor=new Map();
+  for (const t of totds){ // newest first, so the first name seen is the current one
+    const id=asAccountId(t.authorAccountId);
+    if (!id) continue;
+    if (!byAuthor.has(id)) byAuthor.set(id,{ accountId:id, displayName:null, totds:[] });
+    const a=byAuthor.get(id);
+    if (!a.displayName && t.author && t.author!=="(unknown)") a.displayName=t.author;
+    a.totds.push({ date:t.date, uid:t.uid, name:t.name, difficulty:t.difficulty, authorTime:t.authorTime });
+  }
+
+  await ensureDir(AUTHORS_DIR);
+  const leaderboard=[];
+  for (const a of byAuthor.values()){
+    const dates=a.totds.map(t=>t.date);
+    const summary={ accountId:a.accountId, displayName:a.displayName, count:a.totds.length, firstDate:dates[dates.length-1], latestDate:dates[0] };
+    leaderboard.push(summary);
+    await writeJson(path.join(AUTHORS_DIR,`${a.accountId}.json`),{ ...summary, totds:a.totds });
+  }
+  // authors whose TOTDs were all re-attributed (e.g. by an override) lose their page
+  for (const f of await readdir(AUTHORS_DIR)){
+    const id=f.replace(/\.json$/,"");
+    if (ACCOUNT_ID_RE.test(id) && !byAuthor.has(id)) await unlink(path.join(AUTHORS_DIR,f));
+  }
+
+  leaderboard.sort((a,b)=>b.count-a.count || b.latestDate.localeCompare(a.latestDate) || a.accountId.localeCompare(b.accountId));
+  const unresolved=totds.filter(t=>!asAccountId(t.authorAccountId)).length;
+  await writeGenerated(path.join(AUTHORS_DIR,"leaderboard.json"),{ authors:leaderboard.length, unresolved, leaderboard });
+  if (unresolved) dlog(unresolved,"TOTD(s) without an author account id");
+}
+
+export function baseDayRecord(y,m1,entry,idx){
   const m=entry.map||entry;
   const uid=m.mapUid??entry.mapUid??null;
   let name=m.name??m.mapName??entry.name??"(unknown map)";
-  let authorDisplayName=m.authorPlayer?.name??m.authorplayer?.name??m.authorName??m.author??entry.authorPlayer?.name??entry.authorplayer?.name??"(unknown)";
+  // tm.io puts the author's account id in map.author and map.authorplayer.id (not .accountid)
+  const authorAccountId=[m.authorplayer?.id,m.author,m.authorPlayer?.accountId,m.authorplayer?.accountid,entry.authorplayer?.id,entry.authorPlayer?.accountId]
+    .map(asAccountId).find(Boolean)??null;
+  let authorDisplayName=m.authorPlayer?.name??m.authorplayer?.name??m.authorName??(asAccountId(m.author)?null:m.author)??entry.authorPlayer?.name??entry.authorplayer?.name??"(unknown)";
   const thumb=m.thumbnail??m.thumbnailUrl??entry.thumbnail??entry.thumbnailUrl??"";
-  const authorAccountId=m.authorPlayer?.accountId??m.authorplayer?.accountid??entry.authorPlayer?.accountId??entry.authorplayer?.accountid??null;
   const d=tmioDayNumber(entry,idx);
   name=stripTmFormatting(name); authorDisplayName=stripTmFormatting(authorDisplayName);
   return {
@@ -181,12 +447,30 @@ function baseDayRecord(y,m1,entry,idx){
     map: {
       uid, name, authorAccountId, authorDisplayName, thumbnailUrl: thumb,
       downloadUrl: null,
-      authorTime:null, goldTime:null, silverTime:null, bronzeTime:null, difficulty:null
+      authorTime:null, goldTime:null, silverTime:null, bronzeTime:null, difficulty:null,
+      sources:{}
     }
   };
 }
 
-async function writeTotdMonth(index=0){
+// Copies the link and medal fields already on disk for this day into rec; returns the usable previous map.
+export function carryForward(rec, prevDay={}){
+  const prevRec = prevDay.map?.uid && prevDay.map.uid !== rec.map.uid ? {} : { ...(prevDay.map || {}) };
+  const prevSources = { ...(prevRec.sources || {}) };
+  // overridden values are re-applied after hydration, never carried forward as if they came from upstream
+  for (const field of Object.keys(prevDay.overridden || {})) { delete prevRec[field]; delete prevSources[field]; }
+
+  // keep any manual/previous link
+  if (prevRec.downloadUrl) rec.map.downloadUrl = prevRec.downloadUrl;
+  for (const field of MEDAL_FIELDS){
+    if (prevRec[field] == null) continue;
+    rec.map[field] = prevRec[field];
+    rec.map.sources[field] = prevSources[field] || "tmx"; // untagged values predate the chain, when TMX was the only source
+  }
+  return prevRec;
+}
+
+export async function writeTotdMonth(index=0,{ dryRun=false, overrides=null }={}){
   // 0) load remote list
   const j=await fetchTmioMonth(index);
   const {y,m1}=tmioMonthYear(j);
@@ -200,45 +484,47 @@ async function writeTotdMonth(index=0){
   // 2) normalize remote -> day records
   const daysArr = (Array.isArray(j.days)?j.days:[]).map((entry,i)=>baseDayRecord(y,m1,entry,i));
 
-  // 3) hydrate each day with TMX medals/difficulty + download, preserving any manual downloadUrl
+  if (dryRun){
+    const pending=daysArr.filter(rec=>rec.map.uid && pendingFields(prevDays[rec.date]?.map || {}).size).length;
+    console.log(`[DRY] ${mKey}: ${daysArr.length} days (${Object.keys(prevDays).length} on disk, ${pending} with missing medals/link) -> ${monthPath}`);
+    return { month:mKey, days:daysArr.length };
+  }
+
+  // 3) hydrate each day: carry forward what we already have, then resolve only the gaps
   for (const rec of daysArr){
-    const prevRec = prevDays[rec.date]?.map || {};
-    // keep any manual/previous link
-    if (prevRec.downloadUrl) {
-      rec.map.downloadUrl = prevRec.downloadUrl;
+    const prevRec = carryForward(rec, prevDays[rec.date]);
+    // search for the hand-corrected author name, and not at all when the id itself is overridden
+    const fix = { ...overrides?.byUid?.[rec.map.uid], ...overrides?.byDate?.[rec.date] };
+    if (!rec.map.authorAccountId && !("authorAccountId" in fix)){
+      rec.map.authorAccountId = asAccountId(prevRec.authorAccountId) || await resolveAuthorAccountId(fix.authorDisplayName ?? rec.map.authorDisplayName);
     }
-    // only fetch if we have a UID and no preserved link/medals yet
-    if (rec.map.uid && (!rec.map.downloadUrl || prevRec.authorTime==null)){
-      const { downloadUrl, medals } = await fetchMapDetails(rec.map.uid);
-      if (!rec.map.downloadUrl) rec.map.downloadUrl = downloadUrl || null;
-      if (medals){
-        rec.map.authorTime = medals.authorTime;
-        rec.map.goldTime   = medals.goldTime;
-        rec.map.silverTime = medals.silverTime;
-        rec.map.bronzeTime = medals.bronzeTime;
-        rec.map.difficulty = medals.difficulty;
-      }
-      await sleep(120); // be nice to public APIs
-    }else{
-      // carry forward previously stored medals/difficulty if present
-      rec.map.authorTime = prevRec.authorTime ?? rec.map.authorTime;
-      rec.map.goldTime   = prevRec.goldTime   ?? rec.map.goldTime;
-      rec.map.silverTime = prevRec.silverTime ?? rec.map.silverTime;
-      rec.map.bronzeTime = prevRec.bronzeTime ?? rec.map.bronzeTime;
-      rec.map.difficulty = prevRec.difficulty ?? rec.map.difficulty;
+
+    const missing = pendingFields(rec.map);
+    if (rec.map.uid && missing.size){
+      const { values, sources } = await resolveMapDetails(rec.map.uid, missing);
+      Object.assign(rec.map, values);
+      Object.assign(rec.map.sources, sources);
+      if (missing.size) dlog("still missing", rec.date, [...missing].join(","));
     }
   }
 
-  // 4) write month file
+  // 4) hand corrections from _overrides.json take precedence over everything fetched
+  for (const rec of daysArr) applyOverrides(rec,overrides);
+
+  // 5) write month file
   const daysOut={}; for (const rec of daysArr){ daysOut[rec.date]=rec; }
   await ensureDir(TOTD_DIR);
   await writeJson(monthPath,{ month:mKey, days:daysOut });
+  await saveAuthorMisses();
   await rebuildMonthIndex(TOTD_DIR);
+  await rebuildAuthorPages(await rebuildSearchIndex(TOTD_DIR));
 
-  // 5) write latest snapshot
+  // 6) write latest snapshot (only the current month can hold today's track)
   const keys=Object.keys(daysOut).sort();
   const latestKey=keys[keys.length-1]||null;
-  if(latestKey){
+  if(index!==0){
+    dlog("backfilled", mKey, keys.length, "days");
+  }else if(latestKey){
     const latest=daysOut[latestKey];
     await writeJson(TOTD_LATEST,{ generatedAt:new Date().toISOString(), ...latest });
     dlog("latest:", latest.date, latest.map?.name, latest.map?.downloadUrl ? "[dl]" : "", "medals?",
@@ -246,12 +532,113 @@ async function writeTotdMonth(index=0){
   }else{
     dlog("no days found for", mKey);
   }
+  return { month:mKey, days:keys.length };
+}
+
+/* --------------------------------- backfill -------------------------------- */
+function parseArgs(argv){
+  const opts={ dryRun:false, force:false, all:false, month:null, from:null, to:null };
+  for (let i=0;i<argv.length;i++){
+    const a=argv[i];
+    if (a==="--dry-run") opts.dryRun=true;
+    else if (a==="--force") opts.force=true;
+    else if (a==="--all") opts.all=true;
+    else if (a==="--month") opts.month=argv[++i];
+    else if (a==="--from") opts.from=argv[++i];
+    else if (a==="--to") opts.to=argv[++i];
+    else throw new Error(`unknown argument: ${a}`);
+  }
+  return opts;
+}
+
+// resolves CLI options to tm.io month indexes (newest first); null = default single-month run
+export function backfillIndexes(opts,now=new Date()){
+  const maxIndex=monthIndexOf(FIRST_TOTD.y,FIRST_TOTD.m1,now);
+  if (opts.month!=null){
+    const m=/^(\d{4})-(\d{2})$/.exec(opts.month);
+    if(!m || +m[2]<1 || +m[2]>12) throw new Error(`--month must be YYYY-MM, got ${opts.month}`);
+    const idx=monthIndexOf(+m[1],+m[2],now);
+    if(idx<0 || idx>maxIndex) throw new Error(`--month ${opts.month} is outside ${monthKey(FIRST_TOTD.y,FIRST_TOTD.m1)}..current`);
+    return [idx];
+  }
+  if (opts.all) return Array.from({ length:maxIndex+1 },(_,i)=>i);
+  if (opts.from==null && opts.to==null) return null;
+  const from=Number(opts.from ?? 0), to=Number(opts.to ?? opts.from);
+  if(!Number.isInteger(from) || !Number.isInteger(to) || from<0 || to<from) throw new Error("--from/--to must be month indexes with 0 <= from <= to");
+  if(to>maxIndex) throw new Error(`--to ${to} is before ${monthKey(FIRST_TOTD.y,FIRST_TOTD.m1)} (max index ${maxIndex})`);
+  return Array.from({ length:to-from+1 },(_,i)=>from+i);
+}
+
+function monthOfIndex(index,now){
+  const d=new Date(Date.UTC(now.getUTCFullYear(),now.getUTCMonth()-index,1));
+  return monthKey(d.getUTCFullYear(),d.getUTCMonth()+1);
+}
+
+// Indexes of the previous GAP_RETRY_MONTHS months whose stored days still miss a medal field or link.
+export async function monthsWithGaps(now=new Date()){
+  const out=[];
+  for (let index=1; index<=GAP_RETRY_MONTHS; index++){
+    const { days={} }=await loadJson(`${TOTD_DIR}/${monthOfIndex(index,now)}.json`,{});
+    if (Object.values(days).some(rec=>rec?.map?.uid && pendingFields(rec.map).size)) out.push(index);
+  }
+  return out;
+}
+
+// Splits month indexes into those to fetch ({ index, month }) and months already checkpointed.
+// Indexes in `gaps` are fetched even when checkpointed.
+export function planBackfill(indexes,done,{ force=false, gaps=[], now=new Date() }={}){
+  const todo=[], skipped=[];
+  for (const index of indexes){
+    const mKey=monthOfIndex(index,now);
+    // the current month keeps changing, so it is never treated as finished
+    if (index>0 && done?.[mKey] && !force && !gaps.includes(index)) skipped.push(mKey);
+    else todo.push({ index, month:mKey });
+  }
+  return { todo, skipped };
+}
+
+async function backfill(indexes,{ dryRun, force, overrides }){
+  const checkpoint=await loadJson(CHECKPOINT,{ done:{} });
+  checkpoint.done=checkpoint.done||{};
+  const { todo, skipped }=planBackfill(indexes,checkpoint.done,{ force, gaps:await monthsWithGaps() });
+  for (const mKey of skipped) dlog("checkpoint skip", mKey);
+  let written=0;
+  for (const { index, month:mKey } of todo){
+    const res=await writeTotdMonth(index,{ dryRun, overrides });
+    if (res.month!==mKey) console.warn(`[WARN] tm.io index ${index} returned ${res.month}, expected ${mKey}`);
+    if (dryRun) continue;
+    written++;
+    if (index>0){
+      checkpoint.done[res.month]={ days:res.days, at:new Date().toISOString() };
+      checkpoint.updatedAt=new Date().toISOString();
+      await writeJson(CHECKPOINT,checkpoint);
+    }
+    console.log(`[OK] ${res.month}: ${res.days} days`);
+  }
+  return { written, skipped:skipped.length };
 }
 
 /* ----------------------------------- main ---------------------------------- */
 async function main(){
-  await ensureDir(TOTD_DIR);
-  await writeTotdMonth(0); // current month (index 0)
-  console.log("[DONE] TOTD updated with TMX medal times + difficulty.");
+  const opts=parseArgs(process.argv.slice(2));
+  const indexes=backfillIndexes(opts);
+  opts.overrides=await loadOverrides();
+  dlog("overrides:", Object.keys(opts.overrides.byUid).length, "by uid,", Object.keys(opts.overrides.byDate).length, "by date");
+  if (!opts.dryRun) await ensureDir(TOTD_DIR);
+  if (!indexes){
+    await writeTotdMonth(0,{ dryRun:opts.dryRun, overrides:opts.overrides }); // current month (index 0)
+    for (const index of await monthsWithGaps()){
+      const res=await writeTotdMonth(index,{ dryRun:opts.dryRun, overrides:opts.overrides });
+      console.log(`[GAPS] ${res.month}: retried days missing medals or links`);
+    }
+    console.log(opts.dryRun ? "[DONE] dry run, nothing written." : "[DONE] TOTD updated with medal times + difficulty.");
+    return;
+  }
+  const { written, skipped }=await backfill(indexes,opts);
+  console.log(opts.dryRun
+    ? `[DONE] dry run over ${indexes.length} month(s), nothing written.`
+    : `[DONE] backfill: ${written} month(s) written, ${skipped} already checkpointed.`);
+}
+if (process.argv[1] && import.meta.url===pathToFileURL(process.argv[1]).href){
+  main().catch(err=>{ console.error(err); process.exit(1); });
 }
-main().catch(err=>{ console.error(err); process.exit(1); });
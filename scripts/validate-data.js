@@ -0,0 +1,262 @@
+// scripts/validate-data.js — schema + integrity checks for every JSON file the site reads
+// Node 18+. No dependencies: implements the subset of JSON Schema used in scripts/schemas/.
+//
+// Usage:
+//   node scripts/validate-data.js [rootDir]      (rootDir defaults to PUBLIC_DIR or ".")
+// Prints one line per problem ("file: /json/pointer: message") and exits 1 if there are any.
+//
+// On top of the schemas it checks:
+//   - month files: file name == `month`, every day key is a real date inside that month and == its `date`
+//   - events.json: start_iso <= end_iso
+//   - months.json: lists exactly the month files on disk, newest first
+//   - totd.json: its date exists in the matching month file
+//   - data/totd/index.json: `count` is right and it lists exactly the days in the month files
+//   - data/authors: each page's count/first/latest match its TOTDs; leaderboard.json matches the pages
+
+import { readFile, readdir } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+/* ----------------------------- config/constants ---------------------------- */
+const ROOT        = (process.argv[2] || process.env.PUBLIC_DIR || ".").replace(/\/+$/,"");
+const SCHEMA_DIR  = path.join(path.dirname(fileURLToPath(import.meta.url)),"schemas");
+const MONTH_FILE  = /^\d{4}-\d{2}\.json$/;
+
+/* ------------------------------ schema subset ------------------------------
+   Supports: $ref (local "#/..." and "<file>#/..."), type (incl. arrays), enum,
+   required, properties, patternProperties, additionalProperties, items,
+   uniqueItems, minimum, minLength, pattern, format (date, date-time).
+-----------------------------------------------------------------------------*/
+const schemas = new Map();
+async function loadSchema(name){
+  if (!schemas.has(name)) schemas.set(name, JSON.parse(await readFile(path.join(SCHEMA_DIR,name),"utf8")));
+  return schemas.get(name);
+}
+async function loadAllSchemas(){
+  for (const f of await readdir(SCHEMA_DIR)) if (f.endsWith(".schema.json")) await loadSchema(f);
+}
+
+function resolveRef(ref, base){
+  const [file, frag=""] = ref.split("#");
+  const docName = file || base;
+  let node = schemas.get(docName);
+  if (!node) throw new Error(`unknown schema ${docName}`);
+  for (const part of frag.split("/").filter(Boolean)) node = node?.[part.replace(/~1/g,"/").replace(/~0/g,"~")];
+  if (!node) throw new Error(`unresolved $ref ${ref}`);
+  return { schema: node, base: docName };
+}
+
+const isDate = (s)=>{
+  const m=/^(\d{4})-(\d{2})-(\d{2})$/.exec(s);
+  if (!m) return false;
+  const d=new Date(Date.UTC(+m[1],+m[2]-1,+m[3]));
+  return d.getUTCFullYear()===+m[1] && d.getUTCMonth()===+m[2]-1 && d.getUTCDate()===+m[3];
+};
+const isDateTime = (s)=>/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(s) && isDate(s.slice(0,10)) && !Number.isNaN(Date.parse(s));
+const FORMATS = { "date": isDate, "date-time": isDateTime };
+
+function typeOf(v){
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (Number.isInteger(v)) return "integer";
+  return typeof v;
+}
+function typeMatches(want, v){
+  const t = typeOf(v);
+  return want === t || (want === "number" && t === "integer");
+}
+
+function validate(schema, value, ptr, errors, base){
+  if (schema.$ref){
+    const r = resolveRef(schema.$ref, base);
+    return validate(r.schema, value, ptr, errors, r.base);
+  }
+  const at = ptr || "/";
+  if (schema.type){
+    const types = [].concat(schema.type);
+    if (!types.some(t=>typeMatches(t,value))){
+      errors.push(`${at}: expected ${types.join(" | ")}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some(e=>e===value)){
+    errors.push(`${at}: ${JSON.stringify(value)} is not one of ${schema.enum.map(e=>JSON.stringify(e)).join(", ")}`);
+  }
+  if (typeof value === "string"){
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${at}: must not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) errors.push(`${at}: ${JSON.stringify(value)} is not a valid ${schema.format}`);
+  }
+  if (typeof value === "number" && schema.minimum != null && value < schema.minimum){
+    errors.push(`${at}: ${value} is below the minimum ${schema.minimum}`);
+  }
+  if (Array.isArray(value)){
+    if (schema.items) value.forEach((v,i)=>validate(schema.items, v, `${ptr}/${i}`, errors, base));
+    if (schema.uniqueItems){
+      const seen = new Set();
+      value.forEach((v,i)=>{ const k=JSON.stringify(v); if (seen.has(k)) errors.push(`${ptr}/${i}: duplicate item ${k}`); seen.add(k); });
+    }
+  }
+  if (typeOf(value) === "object"){
+    for (const key of schema.required || []) if (!(key in value)) errors.push(`${at}: missing required "${key}"`);
+    for (const [key,v] of Object.entries(value)){
+      const child = `${ptr}/${key.replace(/~/g,"~0").replace(/\//g,"~1")}`;
+      let matched = false;
+      if (schema.properties?.[key]){ matched = true; validate(schema.properties[key], v, child, errors, base); }
+      for (const [re,sub] of Object.entries(schema.patternProperties || {})){
+        if (new RegExp(re).test(key)){ matched = true; validate(sub, v, child, errors, base); }
+      }
+      if (matched) continue;
+      if (schema.additionalProperties === false) errors.push(`${child}: unexpected property`);
+      else if (schema.additionalProperties && typeof schema.additionalProperties === "object") validate(schema.additionalProperties, v, child, errors, base);
+    }
+  }
+}
+
+/* ---------------------------------- files ---------------------------------- */
+const report = [];
+let checked = 0;
+
+async function readJson(rel){
+  try { return { ok:true, value: JSON.parse(await readFile(path.join(ROOT,rel),"utf8")) }; }
+  catch (e) {
+    if (e.code === "ENOENT") return { ok:false, missing:true };
+    report.push(`${rel}: ${e instanceof SyntaxError ? `invalid JSON (${e.message})` : e.message}`);
+    return { ok:false };
+  }
+}
+
+async function checkFile(rel, schemaName, { optional=false }={}){
+  const r = await readJson(rel);
+  if (r.missing){ if (!optional) report.push(`${rel}: file is missing`); return null; }
+  if (!r.ok) return null;
+  checked++;
+  const errors = [];
+  const { schema, base } = resolveRef(schemaName); // "file.schema.json" or "file.schema.json#/$defs/x"
+  validate(schema, r.value, "", errors, base);
+  for (const e of errors) report.push(`${rel}: ${e}`);
+  return r.value; // parsed: integrity checks still run, defensively, after schema errors
+}
+
+async function listMonthFiles(dir){
+  try { return (await readdir(path.join(ROOT,dir))).filter(f=>MONTH_FILE.test(f)).sort(); }
+  catch { return []; }
+}
+
+/* ------------------------------ integrity checks --------------------------- */
+function checkMonthDays(rel, data){
+  const expected = path.basename(rel,".json");
+  if (data?.month !== expected) report.push(`${rel}: /month: "${data?.month}" does not match the file name (${expected})`);
+  const days = typeOf(data?.days) === "object" ? data.days : {};
+  for (const [key,day] of Object.entries(days)){
+    if (!isDate(key)) report.push(`${rel}: /days/${key}: not a real calendar date`);
+    else if (!key.startsWith(`${expected}-`)) report.push(`${rel}: /days/${key}: outside month ${expected}`);
+    if (day?.date !== key) report.push(`${rel}: /days/${key}/date: "${day?.date}" does not match its key`);
+  }
+}
+
+async function checkMonthIndex(dir){
+  const rel = `${dir}/months.json`;
+  const files = (await listMonthFiles(dir)).map(f=>f.replace(/\.json$/,""));
+  const index = await checkFile(rel, "months.schema.json", { optional: !files.length });
+  if (!Array.isArray(index?.months)) return;
+  const listed = new Set(index.months);
+  for (const m of files) if (!listed.has(m)) report.push(`${rel}: /months: missing "${m}" (${dir}/${m}.json exists)`);
+  for (const m of index.months) if (!files.includes(m)) report.push(`${rel}: /months: lists "${m}" but ${dir}/${m}.json does not exist`);
+  const newestFirst = [...index.months].sort().reverse();
+  if (index.months.join() !== newestFirst.join()) report.push(`${rel}: /months: must be sorted newest first`);
+}
+
+async function checkEvents(){
+  const events = await checkFile("events.json", "events.schema.json");
+  (Array.isArray(events) ? events : []).forEach((e,i)=>{
+    if (Date.parse(e?.start_iso) > Date.parse(e?.end_iso)) report.push(`events.json: /${i}: start_iso ${e.start_iso} is after end_iso ${e.end_iso} ("${e.title}")`);
+  });
+}
+
+async function checkSearchIndex(months){
+  const rel = "data/totd/index.json";
+  const dates = Object.values(months).flatMap(m=>typeOf(m?.days) === "object" ? Object.keys(m.days) : []);
+  const index = await checkFile(rel, "totd-index.schema.json", { optional: !dates.length });
+  if (!Array.isArray(index?.totds)) return;
+  if (index.count !== index.totds.length) report.push(`${rel}: /count: ${index.count} but ${index.totds.length} entries`);
+  const listed = new Set(index.totds.map(t=>t?.date));
+  const missing = dates.filter(d=>!listed.has(d));
+  const extra = [...listed].filter(d=>!dates.includes(d));
+  if (missing.length) report.push(`${rel}: /totds: missing ${missing.length} day(s) from the month files (first: ${missing.sort()[0]}); rerun the fetcher`);
+  if (extra.length) report.push(`${rel}: /totds: ${extra.length} day(s) not in any month file (first: ${extra.sort()[0]})`);
+}
+
+async function checkTotd(){
+  const months = {};
+  for (const f of await listMonthFiles("data/totd")){
+    const rel = `data/totd/${f}`;
+    const data = await checkFile(rel, "totd-month.schema.json");
+    if (data){ checkMonthDays(rel, data); months[path.basename(f,".json")] = data; }
+  }
+  await checkMonthIndex("data/totd");
+  await checkFile("data/totd/_overrides.json", "totd-overrides.schema.json", { optional:true });
+
+  await checkSearchIndex(months);
+
+  const latest = await checkFile("totd.json", "totd-latest.schema.json", { optional:true });
+  const month = typeof latest?.date === "string" && months[latest.date.slice(0,7)];
+  if (month !== undefined && !month?.days?.[latest.date]) report.push(`totd.json: /date: ${latest.date} is not in data/totd/${latest.date.slice(0,7)}.json`);
+}
+
+async function checkCotd(){
+  for (const f of await listMonthFiles("data/cotd")){
+    const rel = `data/cotd/${f}`;
+    const data = await checkFile(rel, "cotd-month.schema.json");
+    if (data) checkMonthDays(rel, data);
+  }
+  await checkMonthIndex("data/cotd");
+}
+
+async function checkAuthors(){
+  let files = [];
+  try { files = (await readdir(path.join(ROOT,"data/authors"))).filter(f=>/^[0-9a-f-]{36}\.json$/.test(f)).sort(); }
+  catch {}
+  const pages = new Map();
+  for (const f of files){
+    const rel = `data/authors/${f}`;
+    const page = await checkFile(rel, "author.schema.json");
+    if (!Array.isArray(page?.totds)) continue;
+    pages.set(f.replace(/\.json$/,""), page);
+    const dates = page.totds.map(t=>t?.date).filter(Boolean).sort();
+    if (page.accountId !== f.replace(/\.json$/,"")) report.push(`${rel}: /accountId: "${page.accountId}" does not match the file name`);
+    if (page.count !== page.totds.length) report.push(`${rel}: /count: ${page.count} but ${page.totds.length} TOTDs`);
+    if (dates.length && page.firstDate !== dates[0]) report.push(`${rel}: /firstDate: ${page.firstDate} but the earliest TOTD is ${dates[0]}`);
+    if (dates.length && page.latestDate !== dates[dates.length-1]) report.push(`${rel}: /latestDate: ${page.latestDate} but the latest TOTD is ${dates[dates.length-1]}`);
+  }
+
+  const rel = "data/authors/leaderboard.json";
+  const board = await checkFile(rel, "author.schema.json#/$defs/leaderboard", { optional: !files.length });
+  if (!Array.isArray(board?.leaderboard)) return;
+  if (board.authors !== board.leaderboard.length) report.push(`${rel}: /authors: ${board.authors} but ${board.leaderboard.length} entries`);
+  board.leaderboard.forEach((a,i)=>{
+    const page = pages.get(a?.accountId);
+    if (!page) report.push(`${rel}: /leaderboard/${i}: no data/authors/${a?.accountId}.json`);
+    else if (page.count !== a.count) report.push(`${rel}: /leaderboard/${i}/count: ${a.count} but the author page has ${page.count}`);
+  });
+  const listed = new Set(board.leaderboard.map(a=>a?.accountId));
+  for (const id of pages.keys()) if (!listed.has(id)) report.push(`${rel}: /leaderboard: missing ${id} (data/authors/${id}.json exists)`);
+}
+
+/* ----------------------------------- main ---------------------------------- */
+async function main(){
+  await loadAllSchemas();
+  await checkEvents();
+  await checkFile("clips.json", "clips.schema.json", { optional:true });
+  await checkTotd();
+  await checkCotd();
+  await checkAuthors();
+
+  if (report.length){
+    for (const line of report) console.error(`[FAIL] ${line}`);
+    console.error(`[DONE] ${report.length} problem(s) in ${ROOT === "." ? "site data" : ROOT}.`);
+    process.exit(1);
+  }
+  console.log(`[DONE] ${checked} file(s) valid.`);
+}
+main().catch(err=>{ console.error(err); process.exit(1); });
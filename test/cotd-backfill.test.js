@@ -0,0 +1,77 @@
+// Helpers of scripts/cotd-backfill.js; the Meet API is a stubbed global fetch (no network).
+// Run with: npm test
+
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { fetchStandings, parseCotd, summarizeStandings } from "../scripts/cotd-backfill.js";
+
+const realFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = realFetch; });
+
+// Serves a `players`-strong overall leaderboard; returns the { offset, length } of every page asked for.
+function stubLeaderboard(players) {
+  process.env.NADEO_REFRESH_TOKEN = "fake-refresh";
+  const pages = [];
+  globalThis.fetch = async (url) => {
+    const json = (body) => new Response(JSON.stringify(body), { status: 200, headers: { "Content-Type": "application/json" } });
+    if (/token\/refresh/.test(url)) return json({ accessToken: "access", expiresIn: 3600 });
+    const q = new URL(url).searchParams;
+    const offset = Number(q.get("offset")), length = Number(q.get("length"));
+    pages.push({ offset, length });
+    const rows = [];
+    for (let rank = offset + 1; rank <= Math.min(players, offset + length); rank++) rows.push({ rank, participant: `p${rank}`, score: rank * 10 });
+    return json({ results: rows });
+  };
+  return pages;
+}
+
+test("parseCotd reads date and edition from the name, falling back to the start time", () => {
+  const third = parseCotd({ id: 9001, name: "Cup of the Day 2024-03-01 #3", starttime: 1709319600, endtime: 1709326800, players: 4321 });
+  assert.deepEqual(third, {
+    competitionId: 9001,
+    name: "Cup of the Day 2024-03-01 #3",
+    date: "2024-03-01",
+    edition: 3,
+    startDate: "2024-03-01T19:00:00.000Z",
+    endsAt: 1709326800000,
+    players: 4321,
+  });
+
+  const old = parseCotd({ competitionId: 12, name: "COTD 2020-11-02", startDate: 1604343600 });
+  assert.equal(old.date, "2020-11-02");
+  assert.equal(old.edition, 1);
+  assert.equal(old.endsAt, null);
+  assert.equal(old.players, null);
+
+  assert.equal(parseCotd({ id: 5, name: "Weekly Shorts", starttime: 1709319600 }).date, "2024-03-01");
+  assert.equal(parseCotd({ id: 6, name: "Weekly Shorts" }).date, null);
+});
+
+test("fetchStandings reads the top 64 and one winner row per division, not the whole field", async () => {
+  const pages = stubLeaderboard(150);
+  const s = await fetchStandings({ competitionId: 9001, players: 150 });
+  assert.deepEqual(pages, [{ offset: 0, length: 64 }, { offset: 64, length: 1 }, { offset: 128, length: 1 }, { offset: 192, length: 1 }]);
+  assert.equal(s.players, 150);
+  assert.equal(s.divisions, 3);
+  assert.deepEqual(s.top64.map((r) => r.rank), Array.from({ length: 64 }, (_, i) => i + 1));
+  assert.deepEqual(s.divisionWinners.map((w) => [w.division, w.rank, w.accountId]), [[1, 1, "p1"], [2, 65, "p65"], [3, 129, "p129"]]);
+
+  const small = stubLeaderboard(40);
+  const one = await fetchStandings({ competitionId: 9002, players: null });
+  assert.deepEqual(small, [{ offset: 0, length: 64 }]); // under one division: no winner walk
+  assert.equal(one.divisions, 1);
+  assert.equal(one.top64.length, 40);
+  assert.equal(one.players, null);
+});
+
+test("summarizeStandings numbers winners by division and keeps tm.io's player count", () => {
+  const s = summarizeStandings([{ rank: 2, accountId: "b" }, { rank: 1, accountId: "a" }], [{ rank: 1, accountId: "a" }, { rank: 65, accountId: "c" }], 2500);
+  assert.deepEqual(s.top64.map((r) => r.accountId), ["a", "b"]);
+  assert.deepEqual(s.divisionWinners, [{ division: 1, rank: 1, accountId: "a" }, { division: 2, rank: 65, accountId: "c" }]);
+  assert.equal(s.players, 2500);
+  assert.equal(s.divisions, 2);
+
+  const empty = summarizeStandings([], []);
+  assert.deepEqual(empty, { players: null, divisions: 0, top64: [], divisionWinners: [] });
+});
@@ -0,0 +1,624 @@
+// Integration tests: scripts/server.js against scripts/fake-nadeo.js (no network, no credentials).
+// Run with: npm test
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import http from "node:http";
+import { fileURLToPath } from "node:url";
+
+import { startFakeNadeo, FAKE_MAPS, FAKE_ACCOUNTS } from "../scripts/fake-nadeo.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const SERVER = path.join(ROOT, "scripts", "server.js");
+const ADMIN = "test-admin-secret";
+const DEBUG_KEY = "test-debug-key";
+const REBUILD_KEY = "test-rebuild-key";
+const asDebug = { Authorization: `Bearer ${DEBUG_KEY}` };
+const [A1, A2] = Object.keys(FAKE_ACCOUNTS);
+const TOTAL_MAPS = FAKE_MAPS.official.length + FAKE_MAPS.totd.length + FAKE_MAPS.clubListed.length + FAKE_MAPS.clubDetail.length;
+
+/* --------------------------------- helpers --------------------------------- */
+function freePort() {
+  return new Promise((resolve) => {
+    const s = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = s.address();
+      s.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(env) {
+  const port = await freePort();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tm-wr-"));
+  const child = spawn(process.execPath, [SERVER], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      DB_PATH: path.join(dir, "trackmania.db"),
+      REFRESH_TOKEN_FILE: path.join(dir, "refresh.txt"),
+      CACHE_PATH_WR: path.join(dir, "wr_cache.json"),
+      CACHE_PATH_CLUB: path.join(dir, "club_uids.json"),
+      CACHE_PATH_HISTORY: path.join(dir, "wr_history.ndjson"),
+      WEBHOOKS_FILE: path.join(dir, "webhooks.json"),
+      WEBHOOK_DLQ_PATH: path.join(dir, "webhook_dlq.ndjson"),
+      ROLLING_REFRESH: "false", // background traffic would skew request counts; enabled per test
+      WEBHOOK_MAX_ATTEMPTS: "3",
+      WEBHOOK_BACKOFF_MS: "50",
+      ADMIN_SECRET: ADMIN,
+      API_KEYS: JSON.stringify([
+        { name: "dashboard", key: DEBUG_KEY, scopes: ["read-debug"] },
+        { name: "ci", key: REBUILD_KEY, scopes: ["rebuild"] },
+      ]),
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let log = "";
+  child.stdout.on("data", (d) => { log += d; });
+  child.stderr.on("data", (d) => { log += d; });
+
+  const base = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + 30_000;
+  for (;;) {
+    try {
+      const r = await fetch(`${base}/api/ready`);
+      if (r.ok && (await r.json()).ok) break;
+    } catch {}
+    if (Date.now() > deadline) {
+      child.kill();
+      fs.rmSync(dir, { recursive: true, force: true });
+      throw new Error(`server did not become ready:\n${log}`);
+    }
+    await new Promise((r) => setTimeout(r, 200));
+  }
+  return {
+    base,
+    dir,
+    log: () => log,
+    stop: async () => {
+      await new Promise((resolve) => { child.once("exit", resolve); child.kill(); });
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+function fakeEnv(url) {
+  return {
+    NADEO_CORE_BASE: url,
+    NADEO_LIVE_BASE: url,
+    TM_OAUTH_BASE: url,
+    REFRESH_TOKEN: "fake-refresh",
+    CLIENT_ID: "fake-client",
+    CLIENT_SECRET: "fake-secret",
+  };
+}
+
+async function getJson(url, opts) {
+  const r = await fetch(url, opts);
+  return { status: r.status, headers: r.headers, body: await r.json() };
+}
+
+// m:ss.mmm, as in the Discord embeds
+function fmtTime(ms) {
+  return `${Math.floor(ms / 60000)}:${String(Math.floor((ms % 60000) / 1000)).padStart(2, "0")}.${String(ms % 1000).padStart(3, "0")}`;
+}
+
+// Resolves with the first SSE "wr" event's data.
+function nextStreamEvent(url, timeoutMs = 20_000) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(url, (res) => {
+      let buf = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        buf += chunk;
+        const m = buf.match(/event: wr\ndata: (.+)\n\n/);
+        if (m) {
+          req.destroy();
+          resolve(JSON.parse(m[1]));
+        }
+      });
+    });
+    req.on("error", () => {});
+    setTimeout(() => { req.destroy(); reject(new Error("no stream event")); }, timeoutMs);
+  });
+}
+
+/* ---------------------------------- suite ---------------------------------- */
+let fake;
+let srv;
+
+before(async () => {
+  fake = await startFakeNadeo();
+  srv = await startServer(fakeEnv(fake.url));
+});
+
+after(async () => {
+  await srv?.stop();
+  await fake?.close();
+});
+
+test("buildAllWRs: warm build covers official, TOTD and club maps with names and metadata", async () => {
+  const { body } = await getJson(`${srv.base}/api/wr-latest?limit=100`);
+  assert.equal(body.total, TOTAL_MAPS);
+  const byUid = new Map(body.rows.map((r) => [r.mapUid, r]));
+  assert.equal(byUid.get(FAKE_MAPS.official[0]).sourceType, "official");
+  assert.equal(byUid.get(FAKE_MAPS.totd[0]).sourceType, "totd");
+  assert.equal(byUid.get(FAKE_MAPS.clubDetail[0]).sourceType, "club");
+
+  const row = byUid.get(FAKE_MAPS.official[0]);
+  assert.equal(row.displayName, FAKE_ACCOUNTS[row.accountId]);
+  assert.match(row.mapName, /^Fake Map \d\d$/);
+  assert.equal(row.authorName, "FakeAuthor");
+});
+
+test("health and readiness routes", async () => {
+  assert.equal((await fetch(`${srv.base}/`)).status, 200);
+  assert.deepEqual((await getJson(`${srv.base}/healthz`)).body, { ok: true });
+  assert.equal((await getJson(`${srv.base}/api/ping`)).body.ok, true);
+  const ready = (await getJson(`${srv.base}/api/ready`)).body;
+  assert.equal(ready.rows, TOTAL_MAPS);
+});
+
+test("/api/wr-latest filters by type and search", async () => {
+  const club = (await getJson(`${srv.base}/api/wr-latest?type=club`)).body;
+  assert.equal(club.total, FAKE_MAPS.clubListed.length + FAKE_MAPS.clubDetail.length);
+  const byName = (await getJson(`${srv.base}/api/wr-latest?search=fakedriverone`)).body;
+  assert.ok(byName.rows.length > 0);
+  assert.ok(byName.rows.every((r) => r.accountId === A1));
+});
+
+test("/api/wr-latest pages with cursors, sorts, filters and honours ETags", async () => {
+  const seen = [];
+  let cursor = null;
+  for (let page = 0; page < 10; page++) {
+    const q = `sort=timeMs&dir=asc&limit=2${cursor ? `&cursor=${cursor}` : ""}`;
+    const { body } = await getJson(`${srv.base}/api/wr-latest?${q}`);
+    assert.equal(body.total, TOTAL_MAPS);
+    seen.push(...body.rows);
+    cursor = body.nextCursor;
+    if (!cursor) break;
+  }
+  assert.equal(new Set(seen.map((r) => r.mapUid)).size, TOTAL_MAPS);
+  assert.deepEqual(seen.map((r) => r.timeMs), [...seen.map((r) => r.timeMs)].sort((a, b) => a - b));
+
+  const mine = (await getJson(`${srv.base}/api/wr-latest?accountId=${A1}`)).body;
+  assert.equal(mine.total, TOTAL_MAPS / 2);
+  const newest = mine.rows[0].timestamp;
+  const window = (await getJson(`${srv.base}/api/wr-latest?from=${newest}&to=${newest + 1}`)).body;
+  assert.deepEqual(window.rows.map((r) => r.mapUid), [mine.rows[0].mapUid]);
+
+  const first = await fetch(`${srv.base}/api/wr-latest?limit=3`);
+  const etag = first.headers.get("etag");
+  assert.ok(etag);
+  await first.arrayBuffer();
+  assert.equal((await fetch(`${srv.base}/api/wr-latest?limit=3`, { headers: { "If-None-Match": etag } })).status, 304);
+
+  const other = (await getJson(`${srv.base}/api/wr-latest?limit=2`)).body.nextCursor;
+  assert.equal((await getJson(`${srv.base}/api/wr-latest?sort=displayName&cursor=${other}`)).status, 400);
+  assert.equal((await getJson(`${srv.base}/api/wr-latest?cursor=garbage`)).status, 400);
+});
+
+test("/api/export streams WRs and players as csv, ndjson and json", async () => {
+  const csv = await fetch(`${srv.base}/api/export/wrs?format=csv&type=totd`);
+  assert.match(csv.headers.get("content-type"), /^text\/csv/);
+  assert.match(csv.headers.get("content-disposition"), /attachment; filename="wrs-\d{4}-\d{2}-\d{2}\.csv"/);
+  const lines = (await csv.text()).trim().split("\r\n");
+  assert.equal(lines[0].split(",")[0], "mapUid");
+  assert.equal(lines.length, 1 + FAKE_MAPS.totd.length);
+
+  const nd = (await (await fetch(`${srv.base}/api/export/wrs?format=ndjson&accountId=${A1}`)).text()).trim().split("\n").map((l) => JSON.parse(l));
+  assert.equal(nd.length, TOTAL_MAPS / 2);
+  assert.equal(nd[0].displayName, FAKE_ACCOUNTS[A1]);
+
+  const json = await (await fetch(`${srv.base}/api/export/wrs?format=json`)).json();
+  assert.equal(json.count, TOTAL_MAPS);
+  assert.equal(json.rows.length, TOTAL_MAPS);
+
+  const players = (await (await fetch(`${srv.base}/api/export/players?format=csv`)).text()).trim().split("\r\n");
+  assert.equal(players[0], "rank,accountId,displayName,wrCount,official,totd,club,latestTimestamp");
+  assert.equal(players.length, 3);
+  assert.equal((await fetch(`${srv.base}/api/export/players?format=xml`)).status, 400);
+});
+
+test("club provenance: /api/clubs, /api/clubs/:clubId/wrs and wr-latest?club=", async () => {
+  const { body } = await getJson(`${srv.base}/api/clubs`);
+  assert.equal(body.total, 2);
+  const club = body.clubs.find((c) => c.clubId === "9001");
+  assert.equal(club.clubName, "Fake Club");
+  assert.equal(club.maps, FAKE_MAPS.clubListed.length);
+  assert.equal(club.wrs, FAKE_MAPS.clubListed.length);
+
+  const detail = (await getJson(`${srv.base}/api/clubs/9002/wrs`)).body;
+  assert.equal(detail.campaigns[0].campaignName, "Fake Detail Cup");
+  assert.equal(detail.campaigns[0].wrs[0].mapUid, FAKE_MAPS.clubDetail[0]);
+  assert.equal((await getJson(`${srv.base}/api/clubs/1/wrs`)).status, 404);
+
+  const rows = (await getJson(`${srv.base}/api/wr-latest?club=9002`)).body.rows;
+  assert.deepEqual(rows.map((r) => r.mapUid), FAKE_MAPS.clubDetail);
+  assert.equal(rows[0].clubName, "Detail Club");
+  assert.equal(rows[0].campaignId, "502");
+});
+
+test("/api/wr-players, /api/top-weekly and /api/top-monthly tally holders", async () => {
+  const players = (await getJson(`${srv.base}/api/wr-players`)).body;
+  assert.equal(players.players.reduce((n, p) => n + p.wrCount, 0), TOTAL_MAPS);
+  const weekly = (await getJson(`${srv.base}/api/top-weekly?days=7&limit=5`)).body;
+  assert.ok(weekly.top.length > 0);
+  const monthly = (await getJson(`${srv.base}/api/top-monthly?limit=1`)).body;
+  assert.ok(monthly.top.length <= 1);
+});
+
+test("/api/wr-podium ranks a local-time range with tie-breaks and sources", async () => {
+  const from = new Date(Date.now() - 86400_000).toISOString();
+  const { status, body } = await getJson(`${srv.base}/api/wr-podium?from=${from}&limit=5`);
+  assert.equal(status, 200);
+  assert.equal(body.range.kind, "range");
+  assert.equal(body.totalWrs, TOTAL_MAPS);
+  assert.deepEqual(body.sources, { official: 2, totd: 2, club: 2 });
+  // 3 WRs each: A2's latest WR is older, so A2 reached 3 first
+  assert.deepEqual(body.podium.map((p) => p.accountId), [A2, A1]);
+  assert.equal(body.podium[0].tieBreak, "reachedAt");
+  assert.deepEqual(body.podium[0].bySource, { official: 1, totd: 1, club: 1 });
+
+  const march = (await getJson(`${srv.base}/api/wr-podium?month=2025-03`)).body;
+  assert.equal(march.month, "2025-03");
+  assert.equal(march.range.from, "2025-03-01T05:00:00.000Z"); // Detroit midnight (EST)
+  assert.equal(march.range.to, "2025-04-01T04:00:00.000Z"); // Detroit midnight (EDT)
+  const week = (await getJson(`${srv.base}/api/wr-podium?week=2025-W01&tz=UTC`)).body;
+  assert.equal(week.range.from, "2024-12-30T00:00:00.000Z");
+  assert.equal((await getJson(`${srv.base}/api/wr-podium?tz=Mars/Olympus`)).status, 400);
+  assert.equal((await getJson(`${srv.base}/api/wr-podium?week=2025-W53`)).status, 400);
+});
+
+test("/api/map/:mapUid/leaderboard returns top N with gaps", async () => {
+  const uid = FAKE_MAPS.totd[0];
+  const { status, body } = await getJson(`${srv.base}/api/map/${uid}/leaderboard?length=10`);
+  assert.equal(status, 200);
+  assert.equal(body.rows[0].gapMs, 0);
+  assert.equal(body.rows[1].gapMs, 250);
+  assert.equal(body.rows[1].displayName, FAKE_ACCOUNTS[body.rows[1].accountId]);
+  assert.equal((await getJson(`${srv.base}/api/map/not-a-uid!/leaderboard`)).status, 400);
+});
+
+test("/api/player/:accountId aggregates held WRs, rank and months", async () => {
+  const { status, body } = await getJson(`${srv.base}/api/player/${A1}`);
+  assert.equal(status, 200);
+  assert.equal(body.displayName, FAKE_ACCOUNTS[A1]);
+  assert.equal(body.rank, 1); // ties on count, A1 holds the most recent WR
+  assert.equal(body.wrCount, TOTAL_MAPS / 2);
+  assert.deepEqual(body.counts, { official: 1, totd: 1, club: 1 });
+  assert.equal(body.wrs.totd[0].mapUid, FAKE_MAPS.totd[0]);
+  assert.ok(body.firstWrTimestamp <= body.latestWrTimestamp);
+  assert.equal(body.monthly.reduce((n, m) => n + m.count, 0), body.wrCount);
+
+  const nobody = (await getJson(`${srv.base}/api/player/44444444-4444-4444-4444-444444444444`)).body;
+  assert.equal(nobody.rank, null);
+  assert.equal(nobody.wrCount, 0);
+  assert.equal((await getJson(`${srv.base}/api/player/not-an-id`)).status, 400);
+});
+
+test("debug routes", async () => {
+  assert.equal((await getJson(`${srv.base}/api/debug-auth`, { headers: asDebug })).body.ok, true);
+  assert.equal((await fetch(`${srv.base}/api/debug-names?ids=${A1}`)).status, 401);
+  const names = (await getJson(`${srv.base}/api/debug-names?ids=${A1}`, { headers: asDebug })).body;
+  assert.equal(names.data[0].name, FAKE_ACCOUNTS[A1]);
+  const stats = (await getJson(`${srv.base}/api/debug-stats`, { headers: asDebug })).body;
+  assert.equal(stats.rows, TOTAL_MAPS);
+  const clubs = (await getJson(`${srv.base}/api/debug-clubs`, { headers: asDebug })).body;
+  assert.equal(clubs.campaignsListed, 2);
+  assert.equal(clubs.mapUidsFound, FAKE_MAPS.clubListed.length + FAKE_MAPS.clubDetail.length);
+});
+
+test("/metrics exposes upstream, cache, job and name counters", async () => {
+  assert.equal((await fetch(`${srv.base}/metrics`)).status, 401);
+  await getJson(`${srv.base}/api/wr-latest?limit=1`);
+  await getJson(`${srv.base}/api/wr-latest?limit=1`);
+  const r = await fetch(`${srv.base}/metrics`, { headers: asDebug });
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get("content-type"), /^text\/plain/);
+  const text = await r.text();
+  assert.match(text, /# TYPE tm_upstream_requests_total counter/);
+  assert.match(text, /tm_upstream_requests_total\{host="[^"]+",caller="jget",status="200"\} \d+/);
+  assert.match(text, /tm_upstream_request_duration_seconds_bucket\{host="[^"]+",caller="live-token",le="\+Inf"\} 1/);
+  assert.match(text, /tm_resp_cache_requests_total\{route="\/api\/wr-latest",result="hit"\} [1-9]/);
+  assert.match(text, /tm_resp_cache_requests_total\{route="\/api\/player\/:accountId",result="miss"\} [1-9]/);
+  assert.doesNotMatch(text, new RegExp(`route="/api/player/${A1}"`));
+  assert.match(text, /tm_job_duration_seconds_count\{job="full-build",status="done"\} 1/);
+  assert.match(text, new RegExp(`tm_wr_rows\\{sourceType="totd"\\} ${FAKE_MAPS.totd.length}`));
+  // the unknown account looked up by the player-profile test fell back to its id
+  assert.match(text, /tm_name_fallbacks_total\{reason="missing"\} 1/);
+  assert.match(text, /tm_name_cache_unresolved 1/);
+});
+
+test("rebuildNow detects a stolen WR, logs history and streams it", async () => {
+  const uid = FAKE_MAPS.totd[1];
+  const before = (await getJson(`${srv.base}/api/wr-history?mapUid=${uid}`)).body.current;
+  const thief = before.accountId === A1 ? A2 : A1;
+
+  const streamed = nextStreamEvent(`${srv.base}/api/wr-stream?type=totd`);
+  await new Promise((r) => setTimeout(r, 200)); // let the stream attach
+  await fetch(`${fake.url}/__fake/wr`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ mapUid: uid, accountId: thief, score: before.timeMs - 123 }),
+  });
+
+  const rebuild = await getJson(`${srv.base}/api/rebuild-now`, { method: "POST", headers: { "X-Api-Key": REBUILD_KEY } });
+  assert.equal(rebuild.status, 200);
+  assert.equal(rebuild.body.updated, 1);
+
+  const ev = await streamed;
+  assert.equal(ev.mapUid, uid);
+  assert.equal(ev.newAccountId, thief);
+
+  const hist = (await getJson(`${srv.base}/api/wr-history?mapUid=${uid}`)).body;
+  const last = hist.history[hist.history.length - 1];
+  assert.equal(last.oldAccountId, before.accountId);
+  assert.equal(last.oldTimeMs - last.newTimeMs, 123);
+
+  const lost = (await getJson(`${srv.base}/api/player/${before.accountId}/history`)).body;
+  assert.equal(lost.history[0].role, "lost");
+});
+
+test("steals from the rebuild show up as rivalries", async () => {
+  const { body } = await getJson(`${srv.base}/api/rivalries`);
+  assert.equal(body.steals, 1);
+  const [pair] = body.rivalries;
+  assert.deepEqual([pair.a.accountId, pair.b.accountId].sort(), [A1, A2].sort());
+  assert.equal(pair.total, 1);
+  assert.equal(pair.lastSteal.mapUid, FAKE_MAPS.totd[1]);
+  assert.equal(pair.lastSteal.improvementMs, 123);
+  assert.equal((await getJson(`${srv.base}/api/rivalries?type=official`)).body.rivalries.length, 0);
+
+  const thief = pair.lastSteal.toAccountId;
+  const victim = pair.lastSteal.fromAccountId;
+  const mine = (await getJson(`${srv.base}/api/player/${thief}/rivals`)).body;
+  assert.equal(mine.rivals[0].accountId, victim);
+  assert.equal(mine.rivals[0].displayName, FAKE_ACCOUNTS[victim]);
+  assert.equal(mine.rivals[0].net, 1);
+  const theirs = (await getJson(`${srv.base}/api/player/${victim}/rivals`)).body;
+  assert.equal(theirs.rivals[0].stolenBy, 1);
+});
+
+test("builds run as jobs with phases and progress", async () => {
+  const auth = { "X-Admin-Secret": ADMIN };
+  const { body } = await getJson(`${srv.base}/api/admin/jobs`, { headers: auth });
+  const build = body.jobs.find((j) => j.name === "full-build");
+  assert.equal(build.status, "done");
+  assert.deepEqual(build.phases.map((p) => p.name), ["uid-discovery", "wr-fetch", "name-resolution", "map-metadata"]);
+  const fetchPhase = build.phases.find((p) => p.name === "wr-fetch");
+  assert.equal(fetchPhase.processed, TOTAL_MAPS);
+  assert.equal(fetchPhase.total, TOTAL_MAPS);
+
+  const one = await getJson(`${srv.base}/api/admin/jobs/${build.id}`, { headers: auth });
+  assert.equal(one.body.id, build.id);
+  const cancel = await fetch(`${srv.base}/api/admin/jobs/${build.id}/cancel`, { method: "POST", headers: auth });
+  assert.equal(cancel.status, 409);
+});
+
+test("upstream 429s are retried after Retry-After and show in debug-stats", async () => {
+  await fetch(`${fake.url}/__fake/throttle`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ count: 2, retryAfter: 1 }),
+  });
+  const started = Date.now();
+  const lb = await getJson(`${srv.base}/api/map/${FAKE_MAPS.official[1]}/leaderboard?length=20`);
+  assert.equal(lb.status, 200);
+  assert.ok(Date.now() - started >= 1000, "waited for Retry-After");
+
+  const stats = (await getJson(`${srv.base}/api/debug-stats`, { headers: asDebug })).body;
+  const host = stats.upstream.find((b) => fake.url.endsWith(b.host));
+  assert.ok(host.throttled >= 2);
+  assert.ok(host.retries >= 2);
+});
+
+test("set-refresh stores the rotated token", async () => {
+  assert.equal((await fetch(`${srv.base}/api/admin/set-refresh`, { method: "POST" })).status, 401);
+  const auth = { "X-Admin-Secret": ADMIN, "Content-Type": "application/json" };
+  const set = await fetch(`${srv.base}/api/admin/set-refresh`, { method: "POST", headers: auth, body: JSON.stringify({ token: "rotated" }) });
+  assert.equal(set.status, 200);
+  assert.equal(fs.readFileSync(path.join(srv.dir, "refresh.txt"), "utf8"), "rotated");
+});
+
+test("webhooks deliver filtered Discord embeds, retry with backoff and park failures in the DLQ", async () => {
+  assert.equal((await fetch(`${srv.base}/api/admin/webhooks`)).status, 401);
+  const auth = { "X-Admin-Secret": ADMIN, "Content-Type": "application/json" };
+  const fakePost = (p, body) => fetch(`${fake.url}${p}`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+  const received = async (name) => (await getJson(`${fake.url}/__fake/hook`)).body.received.filter((r) => r.name === name);
+  const waitFor = async (check) => {
+    for (let i = 0; i < 100; i++) {
+      const v = await check();
+      if (v) return v;
+      await new Promise((r) => setTimeout(r, 100));
+    }
+    return check();
+  };
+  const steal = async (uid) => {
+    const current = (await getJson(`${srv.base}/api/wr-history?mapUid=${uid}`)).body.current;
+    const thief = current.accountId === A1 ? A2 : A1;
+    await fakePost("/__fake/wr", { mapUid: uid, accountId: thief, score: current.timeMs - 100 });
+    return { current, thief };
+  };
+  const addHook = async (body) => {
+    const r = await getJson(`${srv.base}/api/admin/webhooks`, { method: "POST", headers: auth, body: JSON.stringify(body) });
+    assert.equal(r.status, 201);
+    return r.body.hook.id;
+  };
+  const rebuild = () => fetch(`${srv.base}/api/rebuild-now`, { method: "POST", headers: { "X-Api-Key": REBUILD_KEY } });
+
+  // "totd" only sees TOTD steals; "official" only its one map
+  const totdUid = FAKE_MAPS.totd[0];
+  const officialUid = FAKE_MAPS.official[0];
+  const totdHook = await addHook({ url: `${fake.url}/hook/totd`, format: "discord", sourceTypes: ["totd"] });
+  const officialHook = await addHook({ url: `${fake.url}/hook/official`, format: "json", mapUids: [officialUid] });
+  await fakePost("/__fake/hook", { name: "totd", fail: 2, status: 503 });
+
+  const { current, thief } = await steal(totdUid);
+  await steal(officialUid);
+  assert.equal((await rebuild()).status, 200);
+
+  const totdCalls = await waitFor(async () => { const r = await received("totd"); return r.length >= 3 && r; });
+  assert.deepEqual(totdCalls.map((c) => c.status), [503, 503, 204]); // two retries, then delivered
+  assert.ok(totdCalls[1].at - totdCalls[0].at >= 50, "waited WEBHOOK_BACKOFF_MS");
+  assert.ok(totdCalls[2].at - totdCalls[1].at >= 100, "backoff doubles");
+  const { embeds } = totdCalls[2].body;
+  assert.equal(embeds.length, 1);
+  assert.match(embeds[0].title, /^New WR on Fake Map \d\d$/);
+  assert.equal(embeds[0].description, `**${FAKE_ACCOUNTS[thief]}** set ${fmtTime(current.timeMs - 100)}`);
+  assert.deepEqual(embeds[0].fields.slice(0, 2).map((f) => f.value), [fmtTime(current.timeMs - 100), "totd"]);
+  assert.equal(embeds[0].fields[2].value, `${FAKE_ACCOUNTS[current.accountId]} — ${fmtTime(current.timeMs)} (-0:00.100)`);
+  assert.equal(embeds[0].thumbnail.url, `https://example.invalid/thumbs/${totdUid}.jpg`);
+
+  const officialCalls = await waitFor(() => received("official").then((r) => r.length && r));
+  assert.equal(officialCalls.length, 1);
+  assert.deepEqual(officialCalls[0].body.entries.map((e) => e.mapUid), [officialUid]);
+
+  // every attempt fails: the payload lands in the DLQ, then a retry delivers it
+  await fakePost("/__fake/hook", { name: "totd", fail: 3, status: 500 });
+  await steal(totdUid);
+  assert.equal((await rebuild()).status, 200);
+  const dlq = await waitFor(async () => { const r = (await getJson(`${srv.base}/api/admin/webhooks/dlq`, { headers: auth })).body; return r.total && r; });
+  assert.equal(dlq.total, 1);
+  assert.equal(dlq.items[0].hookId, totdHook);
+  assert.equal(dlq.items[0].status, 500);
+  assert.equal(dlq.items[0].payload.embeds[0].fields[1].value, "totd");
+  assert.equal((await received("totd")).length, 3 + 3);
+
+  const retried = await getJson(`${srv.base}/api/admin/webhooks/dlq/retry`, { method: "POST", headers: auth });
+  assert.deepEqual(retried.body, { ok: true, requeued: 1, remaining: 0 });
+  const redelivered = await waitFor(async () => { const r = await received("totd"); return r.length === 7 && r; });
+  assert.equal(redelivered[6].status, 204);
+  assert.deepEqual(redelivered[6].body, dlq.items[0].payload);
+  assert.equal((await getJson(`${srv.base}/api/admin/webhooks/dlq`, { headers: auth })).body.total, 0);
+
+  for (const id of [totdHook, officialHook]) {
+    assert.equal((await fetch(`${srv.base}/api/admin/webhooks/${id}`, { method: "DELETE", headers: auth })).status, 200);
+  }
+});
+
+test("API keys are scoped, header-only and audited", async () => {
+  assert.equal((await fetch(`${srv.base}/api/debug-stats`)).status, 401);
+  assert.equal((await fetch(`${srv.base}/api/debug-stats`, { headers: { "X-Api-Key": "nope" } })).status, 401);
+  const viaQuery = await getJson(`${srv.base}/api/debug-stats?secret=${ADMIN}`);
+  assert.equal(viaQuery.status, 401);
+  assert.match(viaQuery.body.error, /header/);
+
+  // read-debug cannot rebuild or read the audit log; rebuild cannot read debug routes
+  assert.equal((await fetch(`${srv.base}/api/rebuild-now`, { method: "POST", headers: asDebug })).status, 403);
+  assert.equal((await fetch(`${srv.base}/api/admin/audit`, { headers: asDebug })).status, 403);
+  assert.equal((await fetch(`${srv.base}/api/debug-auth`, { headers: { "X-Api-Key": REBUILD_KEY } })).status, 403);
+
+  const audit = await getJson(`${srv.base}/api/admin/audit?limit=500`, { headers: { "X-Admin-Secret": ADMIN } });
+  assert.equal(audit.status, 200);
+  const denied = audit.body.items.find((e) => e.keyName === "dashboard" && e.path === "/api/rebuild-now");
+  assert.equal(denied.outcome, "denied");
+  assert.equal(denied.status, 403);
+  assert.equal(denied.scope, "rebuild");
+  const allowed = audit.body.items.find((e) => e.keyName === "ci" && e.outcome === "allowed");
+  assert.equal(allowed.path, "/api/rebuild-now");
+  assert.ok(audit.body.items.some((e) => e.keyName === null && e.status === 401));
+  assert.ok(!audit.body.items.some((e) => e.path === "/metrics"), "scrapes stay out of the audit log");
+  assert.ok(!JSON.stringify(audit.body).includes(ADMIN), "secrets never reach the log");
+});
+
+test("display names expire, renames are tracked and reach cached rows", async () => {
+  const own = await startFakeNadeo();
+  const short = await startServer({ ...fakeEnv(own.url), NAME_TTL_HOURS: "0.0001" }); // ~0.36s
+  try {
+    const before = (await getJson(`${short.base}/api/player/${A1}/names`)).body;
+    assert.equal(before.displayName, FAKE_ACCOUNTS[A1]);
+    assert.equal(before.history.length, 1);
+
+    await fetch(`${own.url}/__fake/name`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ accountId: A1, name: "RenamedDriver" }),
+    });
+    await new Promise((r) => setTimeout(r, 500));
+    const after = (await getJson(`${short.base}/api/player/${A1}/names`)).body;
+    assert.equal(after.displayName, "RenamedDriver");
+    assert.deepEqual(after.history.map((h) => h.displayName), ["RenamedDriver", FAKE_ACCOUNTS[A1]]);
+
+    const rows = (await getJson(`${short.base}/api/wr-latest?accountId=${A1}`)).body.rows;
+    assert.ok(rows.length > 0);
+    assert.ok(rows.every((r) => r.displayName === "RenamedDriver"));
+    assert.equal((await getJson(`${short.base}/api/player/nope/names`)).status, 400);
+  } finally {
+    await short.stop();
+    await own.close();
+  }
+});
+
+test("rolling refresh revisits old maps and picks up a new WR", async () => {
+  const own = await startFakeNadeo();
+  const rolling = await startServer({
+    ...fakeEnv(own.url),
+    ROLLING_REFRESH: "true",
+    ROLLING_TICK_SECONDS: "1",
+    ROLLING_BUDGET_PER_HOUR: "36000", // 10 maps per tick
+    ROLLING_WINDOW_HOURS: "0.0005", // 1.8s
+  });
+  try {
+    const uid = FAKE_MAPS.official[0];
+    const before = (await getJson(`${rolling.base}/api/wr-history?mapUid=${uid}`)).body.current;
+    await fetch(`${own.url}/__fake/wr`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ mapUid: uid, accountId: A2, score: before.timeMs - 50, timestamp: before.timestamp - 86400 * 400 }),
+    });
+
+    let last = null;
+    for (let i = 0; i < 40 && !last; i++) {
+      await new Promise((r) => setTimeout(r, 250));
+      last = (await getJson(`${rolling.base}/api/wr-history?mapUid=${uid}`)).body.history.find((e) => e.via === "rolling");
+    }
+    assert.ok(last, "rolling refresh logged the change");
+    assert.equal(last.newTimeMs, before.timeMs - 50);
+
+    // every map comes round within the window, not just the busy one
+    let stats = null;
+    for (let i = 0; i < 40; i++) {
+      stats = (await getJson(`${rolling.base}/api/debug-stats`, { headers: asDebug })).body.rolling;
+      if (stats.totals.checked >= TOTAL_MAPS) break;
+      await new Promise((r) => setTimeout(r, 250));
+    }
+    assert.equal(stats.tracked, TOTAL_MAPS);
+    assert.ok(stats.totals.checked >= TOTAL_MAPS);
+    assert.ok(stats.totals.changes >= 1);
+  } finally {
+    await rolling.stop();
+    await own.close();
+  }
+});
+
+test("record then replay serves the same WRs with no upstream at all", async () => {
+  const fixtures = fs.mkdtempSync(path.join(os.tmpdir(), "tm-fixtures-"));
+  try {
+    const rec = await startServer({ ...fakeEnv(fake.url), UPSTREAM_MODE: "record", UPSTREAM_FIXTURES_DIR: fixtures });
+    const recorded = (await getJson(`${rec.base}/api/wr-latest?limit=100`)).body;
+    await rec.stop();
+    assert.ok(fs.readdirSync(fixtures).length > 0);
+
+    const dead = `http://127.0.0.1:${await freePort()}`; // nothing listens here
+    const rep = await startServer({
+      NADEO_CORE_BASE: dead, NADEO_LIVE_BASE: dead, TM_OAUTH_BASE: dead,
+      UPSTREAM_MODE: "replay", UPSTREAM_FIXTURES_DIR: fixtures,
+    });
+    try {
+      const replayed = (await getJson(`${rep.base}/api/wr-latest?limit=100`)).body;
+      const key = (rows) => rows.map((r) => `${r.mapUid}:${r.accountId}:${r.timeMs}`).sort();
+      assert.deepEqual(key(replayed.rows), key(recorded.rows));
+    } finally {
+      await rep.stop();
+    }
+  } finally {
+    fs.rmSync(fixtures, { recursive: true, force: true });
+  }
+});
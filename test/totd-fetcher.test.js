@@ -0,0 +1,314 @@
+// Helpers of scripts/totd-fetcher.js; upstream calls go to a stubbed global fetch (no network).
+// Run with: npm test
+
+import { test, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const PUBLIC = fs.mkdtempSync(path.join(os.tmpdir(), "tm-totd-"));
+process.env.PUBLIC_DIR = PUBLIC; // read at import: generated files land here
+process.env.NADEO_CORE_BASE = "https://core.test";
+process.env.NADEO_CORE_REFRESH_TOKEN = "fake-core-refresh"; // read at import: enables the Nadeo source
+const {
+  applyOverrides, backfillIndexes, baseDayRecord, carryForward, checkOverrides, monthsWithGaps, pendingFields, planBackfill,
+  rebuildAuthorPages, rebuildSearchIndex, resolveMapDetails, writeTotdMonth,
+} = await import("../scripts/totd-fetcher.js");
+
+const realFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = realFetch; });
+after(() => fs.rmSync(PUBLIC, { recursive: true, force: true }));
+
+// routes: [[RegExp, body | (url) => body]]; unmatched URLs answer 404. Returns the URLs requested, in order.
+function stubFetch(routes) {
+  const calls = [];
+  globalThis.fetch = async (url) => {
+    calls.push(String(url));
+    const hit = routes.find(([re]) => re.test(url));
+    if (!hit) return new Response("not found", { status: 404 });
+    const body = typeof hit[1] === "function" ? hit[1](url) : hit[1];
+    return new Response(JSON.stringify(body), { status: 200, headers: { "Content-Type": "application/json" } });
+  };
+  return calls;
+}
+const source = (url) =>
+  /trackmania\.exchange/.test(url) ? "tmx" : /trackmania\.io/.test(url) ? "tmio" : /token\/refresh/.test(url) ? "nadeo-token" : "nadeo";
+
+const NOW = new Date("2025-11-15T12:00:00Z");
+
+test("backfillIndexes maps CLI options to tm.io month indexes", () => {
+  assert.equal(backfillIndexes({}, NOW), null);
+  assert.deepEqual(backfillIndexes({ month: "2025-11" }, NOW), [0]);
+  assert.deepEqual(backfillIndexes({ month: "2024-11" }, NOW), [12]);
+  assert.deepEqual(backfillIndexes({ from: "3", to: "5" }, NOW), [3, 4, 5]);
+  assert.deepEqual(backfillIndexes({ from: "2" }, NOW), [2]);
+
+  const all = backfillIndexes({ all: true }, NOW);
+  assert.equal(all.length, 65); // 2020-07 .. 2025-11
+  assert.equal(all[all.length - 1], 64);
+
+  assert.throws(() => backfillIndexes({ month: "2025-13" }, NOW), /YYYY-MM/);
+  assert.throws(() => backfillIndexes({ month: "2020-06" }, NOW), /outside/);
+  assert.throws(() => backfillIndexes({ month: "2025-12" }, NOW), /outside/);
+  assert.throws(() => backfillIndexes({ from: "5", to: "3" }, NOW), /0 <= from <= to/);
+  assert.throws(() => backfillIndexes({ from: "0", to: "65" }, NOW), /max index 64/);
+});
+
+test("planBackfill skips checkpointed months but never the current one", () => {
+  const done = { "2025-11": { days: 15 }, "2025-10": { days: 31 }, "2025-08": { days: 31 } };
+  const plan = planBackfill([0, 1, 2, 3], done, { now: NOW });
+  assert.deepEqual(plan.todo, [{ index: 0, month: "2025-11" }, { index: 2, month: "2025-09" }]);
+  assert.deepEqual(plan.skipped, ["2025-10", "2025-08"]);
+
+  const forced = planBackfill([0, 1, 2, 3], done, { force: true, now: NOW });
+  assert.deepEqual(forced.todo.map((t) => t.month), ["2025-11", "2025-10", "2025-09", "2025-08"]);
+  assert.deepEqual(forced.skipped, []);
+
+  const january = planBackfill([0, 1], {}, { now: new Date("2026-01-03T00:00:00Z") });
+  assert.deepEqual(january.todo.map((t) => t.month), ["2026-01", "2025-12"]);
+});
+
+test("monthsWithGaps lists earlier months with missing fields and planBackfill refetches them", async (t) => {
+  const totdDir = path.join(PUBLIC, "data", "totd");
+  fs.mkdirSync(totdDir, { recursive: true });
+  const full = { uid: "FullUid", authorTime: 1, goldTime: 2, silverTime: 3, bronzeTime: 4, difficulty: 2, downloadUrl: "https://x.test/1" };
+  const month = (days) => JSON.stringify({ days });
+  fs.writeFileSync(path.join(totdDir, "2030-02.json"), month({ "2030-02-01": { map: full } }));
+  fs.writeFileSync(path.join(totdDir, "2030-01.json"), month({ "2030-01-01": { map: full }, "2030-01-02": { map: { ...full, downloadUrl: null } } }));
+  fs.writeFileSync(path.join(totdDir, "2029-12.json"), month({ "2029-12-01": { map: { uid: "OldUid" } } })); // outside the window
+  t.after(() => { for (const m of ["2030-02", "2030-01", "2029-12"]) fs.rmSync(path.join(totdDir, `${m}.json`)); });
+
+  const now = new Date("2030-03-10T00:00:00Z");
+  const gaps = await monthsWithGaps(now);
+  assert.deepEqual(gaps, [2]);
+
+  const done = { "2030-02": { days: 28 }, "2030-01": { days: 31 } };
+  const plan = planBackfill([1, 2], done, { gaps, now });
+  assert.deepEqual(plan.todo, [{ index: 2, month: "2030-01" }]);
+  assert.deepEqual(plan.skipped, ["2030-02"]);
+});
+
+const UID = "TotdUid000000000000000001";
+const dayRec = (map = {}) => ({
+  date: "2025-10-03",
+  map: { uid: UID, name: "Upstream", authorAccountId: null, authorDisplayName: "Someone", thumbnailUrl: "", downloadUrl: null,
+    authorTime: 40000, goldTime: 43000, silverTime: null, bronzeTime: null, difficulty: 2,
+    sources: { authorTime: "tmx", goldTime: "tmio", difficulty: "tmx" }, ...map },
+});
+
+test("checkOverrides matches the schema: no byUid uid, no negative times or difficulty", () => {
+  const ok = { _comment: "x", byUid: { [UID]: { difficulty: 0, downloadUrl: "https://example.invalid/m" } }, byDate: { "2025-10-03": { uid: "Other", difficulty: 3.5 } } };
+  assert.deepEqual(checkOverrides(ok), { byUid: ok.byUid, byDate: ok.byDate });
+
+  assert.throws(() => checkOverrides({
+    byUid: { [UID]: { uid: "Other", difficulty: -1 } },
+    byDate: { "2025-10-3": { goldTime: -5, name: "" }, "2025-10-04": { colour: "red" } },
+    extra: {},
+  }, "_overrides.json"), (e) => {
+    for (const expected of [
+      /invalid _overrides\.json/,
+      /extra: unknown key/,
+      new RegExp(`byUid\\.${UID}\\.uid: only byDate entries may replace the uid`),
+      new RegExp(`byUid\\.${UID}\\.difficulty: must be a non-negative number or null`),
+      /byDate\.2025-10-3: key must be a YYYY-MM-DD date/,
+      /byDate\.2025-10-3\.goldTime: must be a non-negative integer/,
+      /byDate\.2025-10-3\.name: must be a non-empty string or null/,
+      /byDate\.2025-10-04\.colour: unknown field/,
+    ]) assert.match(e.message, expected);
+    return true;
+  });
+});
+
+test("applyOverrides: byDate wins over byUid and each field records its layer", () => {
+  const rec = applyOverrides(dayRec(), {
+    byUid: { [UID]: { name: "From uid", goldTime: 42000, authorDisplayName: "Fixed" } },
+    byDate: { "2025-10-03": { goldTime: 41234, difficulty: null } },
+  });
+  assert.equal(rec.map.name, "From uid");
+  assert.equal(rec.map.authorDisplayName, "Fixed");
+  assert.equal(rec.map.goldTime, 41234);
+  assert.equal(rec.map.difficulty, null);
+  assert.deepEqual(rec.overridden, { name: "uid", goldTime: "date", authorDisplayName: "uid", difficulty: "date" });
+  assert.deepEqual(rec.map.sources, { authorTime: "tmx", goldTime: "override" }); // cleared difficulty loses its source
+
+  const untouched = applyOverrides(dayRec(), { byUid: {}, byDate: { "2025-10-04": { name: "Other day" } } });
+  assert.equal(untouched.overridden, undefined);
+  assert.equal(untouched.map.name, "Upstream");
+});
+
+test("carryForward keeps stored upstream values but not overridden ones", () => {
+  const prevDay = {
+    date: "2025-10-03",
+    overridden: { goldTime: "date", downloadUrl: "uid" },
+    map: { uid: UID, downloadUrl: "https://example.invalid/hand", authorTime: 40000, goldTime: 41234, silverTime: 48000, bronzeTime: null, difficulty: 2,
+      sources: { authorTime: "tmx", goldTime: "override", silverTime: "tmio", difficulty: "tmx" } },
+  };
+  const rec = dayRec({ authorTime: null, goldTime: null, difficulty: null, sources: {} });
+  carryForward(rec, prevDay);
+  assert.equal(rec.map.downloadUrl, null);
+  assert.equal(rec.map.goldTime, null); // re-fetched upstream, then re-applied from _overrides.json
+  assert.equal(rec.map.silverTime, 48000);
+  assert.deepEqual(rec.map.sources, { authorTime: "tmx", silverTime: "tmio", difficulty: "tmx" });
+
+  const untagged = dayRec({ authorTime: null, sources: {} });
+  carryForward(untagged, { map: { uid: UID, authorTime: 39000 } });
+  assert.equal(untagged.map.sources.authorTime, "tmx"); // predates the source chain
+
+  const replaced = dayRec({ authorTime: null, sources: {} });
+  carryForward(replaced, { map: { uid: "SomeOtherMap", authorTime: 39000 } });
+  assert.equal(replaced.map.authorTime, null); // a different map on that day: nothing carries over
+});
+
+const MAP_UID = "ChainUid00000000000000001";
+const TMX = [/trackmania\.exchange\/api\/maps\/get_map_info\/uid\//, { TrackID: 77, TrackUID: MAP_UID, AuthorTime: 40000, GoldTime: 0, Difficulty: 3 }];
+const TMIO = [/trackmania\.io\/api\/map\//, { authorScore: 39999, goldScore: 43000, silverScore: -1, fileUrl: "https://tmio.test/file" }];
+const NADEO = [
+  [/core\.test\/v2\/authentication\/token\/refresh/, { accessToken: "core-access", expiresIn: 3600 }],
+  [/core\.test\/maps\//, [{ mapUid: MAP_UID, silverTime: 48000, bronzeTime: 60000 }]],
+];
+
+test("resolveMapDetails walks TMX, tm.io then Nadeo and tags each field with its source", async () => {
+  const calls = stubFetch([TMX, TMIO, ...NADEO]);
+  const missing = pendingFields({});
+  const { values, sources } = await resolveMapDetails(MAP_UID, missing);
+
+  assert.deepEqual([...new Set(calls.map(source))], ["tmx", "tmio", "nadeo-token", "nadeo"]);
+  assert.deepEqual(values, {
+    authorTime: 40000, goldTime: 43000, silverTime: 48000, bronzeTime: 60000, difficulty: 3,
+    downloadUrl: "https://trackmania.exchange/maps/download/77",
+  });
+  assert.deepEqual(sources, { authorTime: "tmx", difficulty: "tmx", goldTime: "tmio", silverTime: "nadeo", bronzeTime: "nadeo" });
+  assert.equal(missing.size, 0);
+
+  // a hand correction replaces the fetched value and its tag
+  const rec = applyOverrides({ date: "2025-10-05", map: { uid: MAP_UID, ...values, sources } }, { byUid: { [MAP_UID]: { goldTime: 42500 } }, byDate: {} });
+  assert.equal(rec.map.sources.goldTime, "override");
+  assert.equal(rec.map.sources.silverTime, "nadeo");
+});
+
+test("resolveMapDetails only asks sources that can supply a missing field", async () => {
+  const full = { authorTime: 40000, goldTime: 43000, silverTime: 48000, bronzeTime: 60000, downloadUrl: "https://x.test/m" };
+
+  // only difficulty missing and TMX has none: tm.io and Nadeo cannot supply it, so they are not called
+  let calls = stubFetch([[TMX[0], { ...TMX[1], Difficulty: null }], TMIO, ...NADEO]);
+  let missing = pendingFields(full);
+  assert.deepEqual([...missing], ["difficulty"]);
+  let res = await resolveMapDetails(MAP_UID, missing);
+  assert.deepEqual(calls.map(source), ["tmx"]);
+  assert.deepEqual(res, { values: {}, sources: {} });
+  assert.deepEqual([...missing], ["difficulty"]);
+
+  // difficulty and gold missing: TMX for both, tm.io for the gold TMX lacks, Nadeo never
+  calls = stubFetch([[TMX[0], { ...TMX[1], Difficulty: null }], TMIO, ...NADEO]);
+  missing = pendingFields({ ...full, goldTime: null });
+  res = await resolveMapDetails(MAP_UID, missing);
+  assert.deepEqual(calls.map(source), ["tmx", "tmio"]);
+  assert.deepEqual(res.sources, { goldTime: "tmio" });
+  assert.deepEqual([...missing], ["difficulty"]);
+
+  // TMX does not know the map: the chain moves on
+  calls = stubFetch([TMIO, ...NADEO]);
+  missing = pendingFields({ ...full, difficulty: 1, authorTime: null });
+  res = await resolveMapDetails(MAP_UID, missing);
+  assert.deepEqual(res.sources, { authorTime: "tmio" });
+  assert.deepEqual(calls.map(source), ["tmx", "tmio"]);
+});
+
+test("index.json and leaderboard.json are only rewritten when their payload changes", async () => {
+  const dir = path.join(PUBLIC, "data", "totd");
+  const author = "aaaaaaaa-0000-0000-0000-000000000001";
+  const month = (name) => ({ month: "2025-10", days: { "2025-10-01": { date: "2025-10-01", map: { uid: "U1", name, authorAccountId: author, authorDisplayName: "Alpha", difficulty: 1, authorTime: 40000 } } } });
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "months.json"), JSON.stringify({ months: ["2025-10"] }));
+  fs.writeFileSync(path.join(dir, "2025-10.json"), JSON.stringify(month("First")));
+
+  const files = [path.join(dir, "index.json"), path.join(PUBLIC, "data", "authors", "leaderboard.json")];
+  const read = () => files.map((f) => fs.readFileSync(f, "utf8"));
+  const stamp = () => {
+    for (const f of files) {
+      const j = JSON.parse(fs.readFileSync(f, "utf8"));
+      fs.writeFileSync(f, JSON.stringify({ ...j, generatedAt: "2000-01-01T00:00:00.000Z" }));
+    }
+  };
+
+  await rebuildAuthorPages(await rebuildSearchIndex(dir));
+  assert.equal(JSON.parse(read()[0]).count, 1);
+  assert.equal(JSON.parse(read()[1]).leaderboard[0].accountId, author);
+  stamp();
+  const before = read();
+
+  await rebuildAuthorPages(await rebuildSearchIndex(dir));
+  assert.deepEqual(read(), before, "nothing changed, nothing rewritten");
+
+  fs.writeFileSync(path.join(dir, "2025-10.json"), JSON.stringify(month("Renamed")));
+  await rebuildAuthorPages(await rebuildSearchIndex(dir));
+  const [index, leaderboard] = read().map((t) => JSON.parse(t));
+  assert.equal(index.totds[0].name, "Renamed");
+  assert.notEqual(index.generatedAt, "2000-01-01T00:00:00.000Z");
+  assert.equal(leaderboard.generatedAt, "2000-01-01T00:00:00.000Z"); // same authors and counts
+});
+
+const AUTHOR_ID = "5b4d42f4-c2de-407d-b367-cbff3fe817bc";
+
+test("baseDayRecord reads the author id from tm.io's map.author / map.authorplayer.id", () => {
+  const entry = {
+    campaignid: 3132, weekday: 2, monthday: 1, leaderboarduid: "lb",
+    map: {
+      author: AUTHOR_ID.toUpperCase(), name: "$o$fffKacky $0f0of the Day", mapType: "TrackMania\\TM_Race", mapUid: "baSDnwM6vYKfIu0KOYQ4tFkDWq1",
+      authorScore: 41234, fileUrl: "https://core.test/file", thumbnailUrl: "https://core.test/thumb.jpg",
+      authorplayer: { name: "kackiestkacky", id: AUTHOR_ID, zone: { name: "World" } },
+    },
+  };
+  const rec = baseDayRecord(2025, 11, entry, 0);
+  assert.equal(rec.date, "2025-11-01");
+  assert.equal(rec.map.authorAccountId, AUTHOR_ID);
+  assert.equal(rec.map.authorDisplayName, "kackiestkacky");
+  assert.equal(rec.map.name, "Kacky of the Day");
+  assert.equal(rec.map.thumbnailUrl, "https://core.test/thumb.jpg");
+
+  // only a name: the id stays null for the player-search fallback, and author is not mistaken for an id
+  const nameOnly = baseDayRecord(2025, 11, { map: { mapUid: "U", name: "M", author: "SomeName" } }, 1);
+  assert.equal(nameOnly.map.authorAccountId, null);
+  assert.equal(nameOnly.map.authorDisplayName, "SomeName");
+});
+
+test("writeTotdMonth searches corrected author names and remembers misses across runs", async () => {
+  const totdDir = path.join(PUBLIC, "data", "totd");
+  fs.mkdirSync(totdDir, { recursive: true });
+  const future = new Date(Date.now() + 86400_000).toISOString();
+  const past = new Date(Date.now() - 86400_000).toISOString();
+  fs.writeFileSync(path.join(totdDir, "_authors.json"), JSON.stringify({ misses: {
+    stale: { name: "Stale", checkedAt: past, retryAfter: future },
+    expired: { name: "Expired", checkedAt: past, retryAfter: past },
+  } }));
+
+  const day = (n, author) => ({ map: { mapUid: `Sep${n}`, name: `Day ${n}`, author } });
+  const searched = [];
+  stubFetch([
+    [/trackmania\.io\/api\/totd\/0$/, { month: { year: 2025, month: 8 }, days: [day(1, "Typo"), day(2, "Stale"), day(3, "Expired"), day(4, "Nobody")] }],
+    [/trackmania\.io\/api\/players\/find/, (url) => {
+      const q = new URL(url).searchParams.get("search");
+      searched.push(q);
+      return q === "Corrected" ? [{ player: { name: "corrected", id: AUTHOR_ID } }] : [{ player: { name: `${q}2`, id: AUTHOR_ID } }];
+    }],
+  ]);
+  const overrides = { byUid: {}, byDate: { "2025-09-01": { authorDisplayName: "Corrected" } } };
+  await writeTotdMonth(0, { overrides });
+
+  assert.deepEqual(searched, ["Corrected", "Expired", "Nobody"]); // "Typo" never searched, "Stale" not yet due
+  const { days } = JSON.parse(fs.readFileSync(path.join(totdDir, "2025-09.json"), "utf8"));
+  assert.equal(days["2025-09-01"].map.authorAccountId, AUTHOR_ID);
+  assert.equal(days["2025-09-01"].map.authorDisplayName, "Corrected");
+  assert.equal(days["2025-09-04"].map.authorAccountId, null);
+
+  const { misses } = JSON.parse(fs.readFileSync(path.join(totdDir, "_authors.json"), "utf8"));
+  assert.deepEqual(Object.keys(misses), ["expired", "nobody", "stale"]);
+  assert.equal(misses.stale.retryAfter, future);
+  for (const k of ["expired", "nobody"]) {
+    const days = (Date.parse(misses[k].retryAfter) - Date.parse(misses[k].checkedAt)) / 86400_000;
+    assert.equal(days, 7);
+  }
+  const board = JSON.parse(fs.readFileSync(path.join(PUBLIC, "data", "authors", "leaderboard.json"), "utf8"));
+  assert.ok(board.leaderboard.some((a) => a.accountId === AUTHOR_ID));
+});
@@ -0,0 +1,89 @@
+// scripts/validate-data.js against the committed site data and a deliberately broken copy.
+// Run with: npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const VALIDATE = path.join(ROOT, "scripts", "validate-data.js");
+
+function runValidate(dir) {
+  const r = spawnSync(process.execPath, [VALIDATE, dir], { encoding: "utf8", timeout: 30_000 });
+  return { status: r.status, out: r.stdout + r.stderr };
+}
+
+function writeJson(dir, rel, value) {
+  fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+  fs.writeFileSync(path.join(dir, rel), JSON.stringify(value, null, 2));
+}
+
+const day = (date, map = {}) => ({
+  date,
+  map: { uid: "U", name: "Map", authorTime: 40000, goldTime: null, silverTime: null, bronzeTime: null, difficulty: null, ...map },
+});
+
+test("committed site data passes validation", () => {
+  const { status, out } = runValidate(ROOT);
+  assert.equal(status, 0, out);
+  assert.match(out, /file\(s\) valid/);
+});
+
+test("reports schema and integrity problems with file and pointer", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tm-data-"));
+  writeJson(dir, "events.json", [
+    { tag: "Cup", title: "Backwards", start_iso: "2025-11-02T10:00:00-05:00", end_iso: "2025-11-01T10:00:00-05:00" },
+    { tag: "Cup", title: "No offset", start_iso: "2025-11-02T10:00:00", end_iso: "2025-11-03T10:00:00Z", image_fit: "stretch" },
+  ]);
+  writeJson(dir, "data/totd/2025-10.json", {
+    month: "2025-09",
+    days: {
+      "2025-10-01": day("2025-10-02", { goldTime: -5 }),
+      "2025-11-01": day("2025-11-01"),
+      "2025-10-32": day("2025-10-32"),
+    },
+  });
+  writeJson(dir, "data/totd/months.json", { months: ["2025-10", "2025-08"] });
+  writeJson(dir, "totd.json", { generatedAt: "2025-10-05T18:00:00.000Z", ...day("2025-10-05") });
+  fs.writeFileSync(path.join(dir, "data", "totd", "2025-11.json"), "{ \"month\": ");
+  const author = "aaaaaaaa-0000-0000-0000-000000000001";
+  writeJson(dir, `data/authors/${author}.json`, {
+    accountId: author, displayName: "Alpha", count: 2, firstDate: "2025-10-01", latestDate: "2025-10-01",
+    totds: [{ date: "2025-10-01", uid: "U", name: "Map" }],
+  });
+  writeJson(dir, "data/totd/_overrides.json", {
+    byUid: { U: { uid: "V", difficulty: -1 } },
+    byDate: { "2025-10-01": { uid: "V", difficulty: 2 } },
+  });
+  writeJson(dir, "data/authors/leaderboard.json", { generatedAt: "2025-10-05T18:00:00.000Z", authors: 0, unresolved: 0, leaderboard: [] });
+
+  const { status, out } = runValidate(dir);
+  assert.equal(status, 1, out);
+  for (const expected of [
+    /events\.json: \/0: start_iso .* is after end_iso/,
+    /events\.json: \/1\/start_iso: "2025-11-02T10:00:00" is not a valid date-time/,
+    /events\.json: \/1\/image_fit: "stretch" is not one of/,
+    /data\/totd\/2025-10\.json: \/days\/2025-10-01\/map\/goldTime: -5 is below the minimum 0/,
+    /data\/totd\/2025-10\.json: \/month: "2025-09" does not match the file name/,
+    /data\/totd\/2025-10\.json: \/days\/2025-10-01\/date: "2025-10-02" does not match its key/,
+    /data\/totd\/2025-10\.json: \/days\/2025-10-32: not a real calendar date/,
+    /data\/totd\/2025-10\.json: \/days\/2025-11-01: outside month 2025-10/,
+    /data\/totd\/2025-11\.json: invalid JSON/,
+    /data\/totd\/months\.json: \/months: missing "2025-11"/,
+    /data\/totd\/months\.json: \/months: lists "2025-08" but data\/totd\/2025-08\.json does not exist/,
+    /totd\.json: \/date: 2025-10-05 is not in data\/totd\/2025-10\.json/,
+    /data\/totd\/index\.json: file is missing/,
+    /data\/authors\/aaaaaaaa-0000-0000-0000-000000000001\.json: \/count: 2 but 1 TOTDs/,
+    /data\/authors\/leaderboard\.json: \/leaderboard: missing aaaaaaaa-0000-0000-0000-000000000001/,
+    /data\/totd\/_overrides\.json: \/byUid\/U\/uid: unexpected property/,
+    /data\/totd\/_overrides\.json: \/byUid\/U\/difficulty: -1 is below the minimum 0/,
+  ]) {
+    assert.match(out, expected);
+  }
+  assert.doesNotMatch(out, /_overrides\.json: \/byDate/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});